@@ -0,0 +1,298 @@
+/**
+ * UNO Bot Player
+ *
+ * Decides moves for computer-controlled players. Bots never change the game state
+ * themselves: they pick one of the actions GameEngine.getLegalMoves() offers, and the
+ * server applies it with GameEngine.applyAction() exactly like a human's move.
+ *
+ * A bot only looks at what a human in its seat could see: its own hand, the top card,
+ * the active color and how many cards everyone else holds.
+ *
+ * It exports the following functions:
+ * - isBotId(): Check whether a player ID belongs to a bot
+ * - createBotPlayer(): Build a lobby player entry for a new bot
+ * - chooseBotAction(): Pick the action a bot takes next, if any
+ *
+ * @author UNO Online Backend Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const GameEngine = require('./GameEngine');
+
+// ============================================================================
+// BOT CONSTANTS
+// ============================================================================
+
+// Supported difficulty levels
+const BOT_LEVELS = ['easy', 'medium', 'hard'];
+
+// Every bot ID starts with this prefix (usernames may not, so bots never match a user)
+const BOT_ID_PREFIX = 'bot-';
+
+// Chance that a bot notices another player forgot to call UNO, per update it sees
+const CATCH_UNO_CHANCE = {
+    easy: 0.2,
+    medium: 0.5,
+    hard: 1
+};
+
+// Chance that a bot remembers to call UNO on itself
+const SELF_UNO_CHANCE = {
+    easy: 0.7,
+    medium: 0.95,
+    hard: 1
+};
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Counts the cards of each color in a hand (wilds have no color and are not counted)
+ * @param {Array} hand - Cards to count
+ * @returns {Object} Count per color, e.g. { red: 3, yellow: 0, green: 1, blue: 2 }
+ */
+function countColors(hand) {
+    const counts = { red: 0, yellow: 0, green: 0, blue: 0 };
+    hand.forEach(card => {
+        if (card.color) {
+            counts[card.color]++;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Finds the hand that is left once a card is played
+ * @param {Array} hand - Current hand
+ * @param {Object} card - Card being played
+ * @returns {Array} Hand without one copy of the card
+ */
+function handWithout(hand, card) {
+    const index = hand.findIndex(c => c.color === card.color && c.value === card.value && c.type === card.type);
+    return index === -1 ? hand : [...hand.slice(0, index), ...hand.slice(index + 1)];
+}
+
+/**
+ * Gets the player who plays after the given player in the current direction
+ * @param {Object} gameState - Current game state
+ * @param {string} playerId - Player to look from
+ * @returns {Object|undefined} The next active player
+ */
+function getNextPlayer(gameState, playerId) {
+    const { players, directionOfPlay } = gameState;
+    const index = players.findIndex(player => player.id === playerId);
+    
+    for (let step = 1; step < players.length; step++) {
+        const next = players[(index + step * directionOfPlay + players.length * step) % players.length];
+        if (next.isActive !== false) {
+            return next;
+        }
+    }
+    
+    return undefined;
+}
+
+/**
+ * Picks the highest-scoring move, breaking ties at random
+ * @param {Array} moves - Candidate moves
+ * @param {Function} score - Scoring function (higher is better)
+ * @param {Function} random - Random number source
+ * @returns {Object} The chosen move
+ */
+function pickBest(moves, score, random) {
+    let best = [];
+    let bestScore = -Infinity;
+    
+    moves.forEach(move => {
+        const moveScore = score(move);
+        if (moveScore > bestScore) {
+            best = [move];
+            bestScore = moveScore;
+        } else if (moveScore === bestScore) {
+            best.push(move);
+        }
+    });
+    
+    return best[Math.floor(random() * best.length)];
+}
+
+/**
+ * Scores a card play (from hand or a drawn card) for a medium or hard bot
+ * Medium bots hold on to wilds and pick the color they have most of. Hard bots also
+ * save their action cards for when the next player is close to winning, shed their
+ * high-value cards first, and swap hands (Seven-O) with whoever holds the fewest cards.
+ * @param {Object} gameState - Current game state
+ * @param {Object} bot - The bot's player object
+ * @param {string} level - Bot level ('medium' or 'hard')
+ * @param {Object} move - Play move from getLegalMoves
+ * @returns {number} Score (higher is better)
+ */
+function scorePlay(gameState, bot, level, move) {
+    const card = move.card;
+    const remainingHand = move.type === 'playDrawn' ? bot.hand : handWithout(bot.hand, card);
+    const colorCounts = countColors(remainingHand);
+    let score = 0;
+    
+    // Keep wilds for when nothing else fits
+    if (card.type === 'wild') {
+        score -= 20;
+    }
+    
+    // Pick the color we hold most of
+    if (move.chosenColor) {
+        score += colorCounts[move.chosenColor];
+    }
+    
+    // Seven-O: take the smallest hand on the table
+    if (move.swapTargetId) {
+        const target = gameState.players.find(player => player.id === move.swapTargetId);
+        score += 10 - target.hand.length;
+    }
+    
+    if (level === 'hard') {
+        const nextPlayer = getNextPlayer(gameState, bot.id);
+        const nextPlayerIsClose = nextPlayer && nextPlayer.hand.length <= 2;
+        const isAttack = card.type === 'action' || card.value === 'wild_draw4';
+        
+        if (isAttack) {
+            // Save skips and draw cards for the player about to go out
+            score += nextPlayerIsClose ? 40 : 0;
+        }
+        
+        // Get rid of expensive cards while it is cheap to do so
+        if (card.type === 'number') {
+            score += Number(card.value) / 3;
+        }
+        
+        // Stay on a color we can keep following
+        if (card.color) {
+            score += colorCounts[card.color] / 2;
+        }
+    }
+    
+    return score;
+}
+
+/**
+ * Decides whether a bot challenges a Wild Draw Four played on it
+ * Bots cannot see the thrower's hand. A failed challenge costs 6 cards, so hard bots
+ * only challenge a thrower holding a big hand, who very likely had a card of the active color.
+ * @param {Object} gameState - Current game state
+ * @param {string} level - Bot level
+ * @param {Function} random - Random number source
+ * @returns {boolean} True to challenge
+ */
+function shouldChallenge(gameState, level, random) {
+    if (level === 'easy') {
+        return false;
+    }
+    
+    if (level === 'medium') {
+        return random() < 0.25;
+    }
+    
+    const thrower = gameState.players.find(player => player.id === gameState.drawFourChallenge.playerId);
+    return !!thrower && thrower.hand.length >= 8;
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS (EXPORTED)
+// ============================================================================
+
+/**
+ * Checks whether a player ID belongs to a bot
+ * @param {string} playerId - Player ID to check
+ * @returns {boolean} True for bot IDs
+ */
+function isBotId(playerId) {
+    return typeof playerId === 'string' && playerId.startsWith(BOT_ID_PREFIX);
+}
+
+/**
+ * Builds the lobby player entry for a new bot
+ * @param {string} level - Bot level ('easy', 'medium' or 'hard')
+ * @param {Array} existingPlayers - Players already in the room (used to number the bot's name)
+ * @returns {Object} Player object or error object with error message
+ */
+function createBotPlayer(level, existingPlayers = []) {
+    if (!BOT_LEVELS.includes(level)) {
+        return { error: `Bot level must be one of: ${BOT_LEVELS.join(', ')}` };
+    }
+    
+    const botNumber = existingPlayers.filter(player => player.isBot).length + 1;
+    const levelName = level.charAt(0).toUpperCase() + level.slice(1);
+    
+    return {
+        id: `${BOT_ID_PREFIX}${crypto.randomBytes(4).toString('hex')}`,
+        name: `Bot ${botNumber} (${levelName})`,
+        hand: [],
+        isBot: true,
+        botLevel: level
+    };
+}
+
+/**
+ * Picks the action a bot takes next
+ * UNO calls come first (on itself, then catching others), then its turn. Bots never
+ * jump in out of turn. Returns null when the bot has nothing to do right now, for
+ * example when it is someone else's turn or an easy bot forgets to call UNO.
+ * @param {Object} gameState - Current game state
+ * @param {string} botId - ID of the bot
+ * @param {string} level - Bot level ('easy', 'medium' or 'hard')
+ * @param {Function} random - Random number source (defaults to Math.random)
+ * @returns {Object|null} Action for GameEngine.applyAction, or null
+ */
+function chooseBotAction(gameState, botId, level, random = Math.random) {
+    const bot = gameState.players.find(player => player.id === botId);
+    if (!bot || gameState.isGameOver) {
+        return null;
+    }
+    
+    const moves = GameEngine.getLegalMoves(gameState, botId);
+    const findMove = type => moves.find(move => move.type === type);
+    
+    // Call UNO on ourselves before anyone catches us
+    const selfUno = findMove('callUnoSelf');
+    if (selfUno && random() < SELF_UNO_CHANCE[level]) {
+        return selfUno;
+    }
+    
+    // Catch another player who forgot to call UNO
+    const catchUno = findMove('callUno');
+    if (catchUno && random() < CATCH_UNO_CHANCE[level]) {
+        return catchUno;
+    }
+    
+    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    if (!currentPlayer || currentPlayer.id !== botId) {
+        return null;
+    }
+    
+    // A Wild Draw Four was played on us
+    const challenge = findMove('challengeDrawFour');
+    if (challenge && shouldChallenge(gameState, level, random)) {
+        return challenge;
+    }
+    
+    // Card plays on our turn: from the hand, or the card we just drew
+    const plays = moves.filter(move => move.type === 'play' || move.type === 'playDrawn');
+    if (plays.length > 0) {
+        if (level === 'easy') {
+            return plays[Math.floor(random() * plays.length)];
+        }
+        return pickBest(plays, move => scorePlay(gameState, bot, level, move), random);
+    }
+    
+    // Nothing to play: keep the drawn card, or draw (which also accepts a pending penalty)
+    return findMove('passDrawn') || findMove('draw') || null;
+}
+
+// Export the bot functions
+module.exports = {
+    BOT_LEVELS,
+    isBotId,
+    createBotPlayer,
+    chooseBotAction
+};
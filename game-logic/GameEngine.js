@@ -5,17 +5,26 @@
  * all game rules, state management, and validations according to official UNO rules.
  * 
  * This module is completely independent and can be used with any server framework.
- * It exports five main functions:
+ * It exports the following main functions:
+ * - createRules(): Build a validated house-rules object
  * - createGameState(): Initialize a new game
  * - playCard(): Process a card play move
  * - drawCard(): Process a card draw move
  * - playDrawnCard(): Play a card that was just drawn
  * - passDrawnCard(): Pass on a card that was just drawn
+ * - callUnoPenalty() / callUnoSelf(): UNO calls
+ * - challengeDrawFour(): Challenge a Wild Draw Four as a bluff
+ * - removePlayer(): Take a disconnected player out of a running game
+ * - applyAction() / replay(): Action reducer with an action log, and rebuilding a game from it
+ * - getLegalMoves(): List every legal action for a player
+ * - getShuffleCommitment() / verifyShuffle(): Provably fair shuffle commitments
  * 
  * @author UNO Online Backend Team
  * @version 1.0.0
  */
 
+const crypto = require('crypto');
+
 // ============================================================================
 // GAME CONSTANTS
 // ============================================================================
@@ -28,6 +37,31 @@ const NUMBER_CARDS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
 const ACTION_CARDS = ['skip', 'reverse', 'draw2'];
 const WILD_CARDS = ['wild', 'wild_draw4'];
 
+// Default house rules (official UNO rules). Every game state carries its own copy
+// in gameState.rules so different rooms can play different variants.
+const DEFAULT_RULES = {
+    startingHandSize: 7,          // Cards dealt to each player at the start
+    playAfterDraw: true,          // A playable drawn card may be played immediately (limbo state)
+    reverseSkipsInTwoPlayer: true, // With 2 active players, Reverse acts like Skip
+    stacking: false,              // Draw Two on Draw Two / Wild Draw Four on Wild Draw Four passes the penalty on
+    drawFourChallenge: false,     // The victim of a Wild Draw Four may challenge it as a bluff
+    sevenO: false,                // A 7 swaps hands with a chosen opponent, a 0 rotates all hands
+    jumpIn: false,                // An exact copy of the top card may be played out of turn
+    drawUntilPlayable: false,     // Keep drawing until a playable card turns up instead of drawing one
+    matchMode: false,             // Play rounds for points until someone reaches targetScore
+    targetScore: 500              // Points needed to win a match (matchMode rule)
+};
+
+// Official point values of action and wild cards left in hand when a round ends
+// (number cards score their face value)
+const CARD_POINTS = {
+    skip: 20,
+    reverse: 20,
+    draw2: 20,
+    wild: 50,
+    wild_draw4: 50
+};
+
 // ============================================================================
 // DECK MANAGEMENT FUNCTIONS
 // ============================================================================
@@ -68,15 +102,55 @@ function createDeck() {
 // UTILITY FUNCTIONS
 // ============================================================================
 
+/**
+ * Generates a new random shuffle seed
+ * @returns {string} 32-character hex seed
+ */
+function generateSeed() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Turns a seed into the initial state of the seeded random number generator
+ * @param {string} seed - Shuffle seed
+ * @returns {number} 32-bit generator state
+ */
+function seedToRngState(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+}
+
+/**
+ * Gets a random() function backed by the game's seeded generator (mulberry32)
+ * Every call advances gameState.rngState in place, so the generator state travels with
+ * the game state and the same seed plus the same actions always produce the same game.
+ * @param {Object} gameState - Game state (or any object) holding rngState
+ * @returns {Function} Function returning a number in [0, 1)
+ */
+function getRandom(gameState) {
+    // Games created before seeding existed get a fresh generator
+    if (gameState.rngState === undefined) {
+        gameState.rngState = seedToRngState(generateSeed());
+    }
+    
+    return () => {
+        gameState.rngState = (gameState.rngState + 0x6D2B79F5) >>> 0;
+        let t = gameState.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Shuffles an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number source in [0, 1) (use getRandom for seeded games)
  * @returns {Array} Shuffled array
  */
-function shuffleDeck(array) {
+function shuffleDeck(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -104,6 +178,37 @@ function dealCards(deck, playerIds, cardsPerPlayer = 7) {
     return { players, deck: currentDeck };
 }
 
+/**
+ * Shuffles a fresh deck, deals the starting hands and turns up the first card
+ * The first card is never a wild or action card.
+ * @param {Array} playerIds - Array of player IDs to deal to
+ * @param {Object} rules - Complete rules object (for the starting hand size)
+ * @param {Function} random - Random number source (the game's seeded generator)
+ * @returns {Object} { players, drawPile, discardPile, firstCard }
+ */
+function dealRound(playerIds, rules, random) {
+    // Create and shuffle deck
+    const deck = shuffleDeck(createDeck(), random);
+    
+    // Deal cards to players
+    const { players, deck: remainingDeck } = dealCards(deck, playerIds, rules.startingHandSize);
+    
+    // Place first card on discard pile
+    const discardPile = [remainingDeck.shift()];
+    const drawPile = remainingDeck;
+    
+    // Ensure first card is not a wild card or action card
+    let firstCard = discardPile[0];
+    while (firstCard.type === 'wild' || firstCard.type === 'action') {
+        drawPile.push(firstCard);
+        shuffleDeck(drawPile, random);
+        firstCard = drawPile.shift();
+        discardPile[0] = firstCard;
+    }
+    
+    return { players, drawPile, discardPile, firstCard };
+}
+
 // ============================================================================
 // GAME LOGIC VALIDATION FUNCTIONS
 // ============================================================================
@@ -139,6 +244,43 @@ function isMoveValid(cardToPlay, topCard, currentColor) {
 
 
 
+/**
+ * Gets the rules for a game, falling back to the defaults for any rule that is not set
+ * (games created before rules existed have no rules object at all)
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Complete rules object
+ */
+function getRules(gameState) {
+    return { ...DEFAULT_RULES, ...(gameState.rules || {}) };
+}
+
+/**
+ * Checks whether a player may jump in out of turn with the given card (jumpIn rule)
+ * Only an exact copy of the top card (same color and value) qualifies, and never while
+ * the current turn is unfinished (drawn card in limbo, pending penalty or challenge).
+ * @param {Object} gameState - Current game state
+ * @param {string} playerId - ID of the player trying to jump in
+ * @param {Object} card - The card they want to play
+ * @returns {boolean} True if the jump-in is allowed
+ */
+function canJumpIn(gameState, playerId, card) {
+    if (!getRules(gameState).jumpIn || card.type === 'wild') {
+        return false;
+    }
+    
+    if (gameState.playableDrawnCard || gameState.pendingDrawPenalty > 0 || gameState.drawFourChallenge) {
+        return false;
+    }
+    
+    const player = gameState.players.find(p => p.id === playerId);
+    if (!player || player.isActive === false) {
+        return false;
+    }
+    
+    const topCard = gameState.discardPile[gameState.discardPile.length - 1];
+    return card.color === topCard.color && card.value === topCard.value;
+}
+
 /**
  * Counts the number of active players in the game
  * @param {Object} gameState - Current game state
@@ -153,9 +295,10 @@ function countActivePlayers(gameState) {
  * @param {Object} gameState - Current game state (with deep copies already made)
  * @param {Object} card - The card that was played
  * @param {string} chosenColor - Color chosen for wild cards
+ * @param {string} swapTargetId - Player to swap hands with when a 7 is played (Seven-O rule)
  * @returns {Object} Updated game state
  */
-function applyCardEffect(gameState, card, chosenColor = null) {
+function applyCardEffect(gameState, card, chosenColor = null, swapTargetId = null) {
     // gameState already has deep copies from playCard, work directly with it
     switch (card.value) {
         case 'skip':
@@ -169,7 +312,7 @@ function applyCardEffect(gameState, card, chosenColor = null) {
             gameState.currentColor = card.color; // FIX: Set color for reverse cards
             gameState.directionOfPlay *= -1;
             const activePlayerCount = countActivePlayers(gameState);
-            if (activePlayerCount === 2) {
+            if (activePlayerCount === 2 && getRules(gameState).reverseSkipsInTwoPlayer) {
                 // In 2-active-player game, reverse acts like skip
                 gameState.currentPlayerIndex = getNextPlayerIndex(gameState, 2);
             } else {
@@ -181,23 +324,16 @@ function applyCardEffect(gameState, card, chosenColor = null) {
         case 'draw2':
             // Next player draws 2 cards and loses turn
             gameState.currentColor = card.color; // FIX: Set color for draw2 cards
-            const nextPlayerIndex = getNextPlayerIndex(gameState, 1);
             
-            // Ensure we have enough cards, reshuffle if needed
-            if (gameState.drawPile.length < 2) {
-                const reshuffledState = reshuffleDiscardPile(gameState);
-                gameState.drawPile = [...reshuffledState.drawPile];
-                gameState.discardPile = [...reshuffledState.discardPile];
+            // Stacking: the penalty grows and moves to the next player, who may stack or take it all
+            if (getRules(gameState).stacking) {
+                gameState.pendingDrawPenalty = (gameState.pendingDrawPenalty || 0) + 2;
+                gameState.currentPlayerIndex = getNextPlayerIndex(gameState, 1);
+                break;
             }
             
-            // Draw 2 cards (or whatever is available)
-            const cardsToDraw = Math.min(2, gameState.drawPile.length);
-            if (cardsToDraw > 0) {
-                for (let i = 0; i < cardsToDraw; i++) {
-                    const drawnCard = gameState.drawPile.shift();
-                    gameState.players[nextPlayerIndex].hand.push(drawnCard);
-                }
-            }
+            const nextPlayerIndex = getNextPlayerIndex(gameState, 1);
+            gameState.players[nextPlayerIndex].hand.push(...takeCardsFromDrawPile(gameState, 2));
             
             // Skip the next player's turn
             gameState.currentPlayerIndex = getNextPlayerIndex(gameState, 2);
@@ -212,26 +348,31 @@ function applyCardEffect(gameState, card, chosenColor = null) {
             
         case 'wild_draw4':
             // Next player draws 4 cards, loses turn, and set chosen color
-            const nextPlayerForDraw4 = getNextPlayerIndex(gameState, 1);
-            
-            // Ensure we have enough cards, reshuffle if needed
-            if (gameState.drawPile.length < 4) {
-                const reshuffledState = reshuffleDiscardPile(gameState);
-                gameState.drawPile = [...reshuffledState.drawPile];
-                gameState.discardPile = [...reshuffledState.discardPile];
-            }
+            const rules = getRules(gameState);
+            const previousColor = gameState.currentColor;
+            const thrower = gameState.players[gameState.currentPlayerIndex];
+            gameState.currentColor = chosenColor;
             
-            // Draw 4 cards (or whatever is available)
-            const cardsToDraw4 = Math.min(4, gameState.drawPile.length);
-            if (cardsToDraw4 > 0) {
-                for (let i = 0; i < cardsToDraw4; i++) {
-                    const drawnCard = gameState.drawPile.shift();
-                    gameState.players[nextPlayerForDraw4].hand.push(drawnCard);
+            // Stacking or challenge rule: the 4 cards become a pending penalty for the next player
+            if (rules.stacking || rules.drawFourChallenge) {
+                gameState.pendingDrawPenalty = (gameState.pendingDrawPenalty || 0) + 4;
+                gameState.currentPlayerIndex = getNextPlayerIndex(gameState, 1);
+                
+                // Open the challenge window - the card was only legal if the thrower
+                // held no other card of the color that was active when it was played
+                if (rules.drawFourChallenge) {
+                    gameState.drawFourChallenge = {
+                        playerId: thrower.id,
+                        targetPlayerId: gameState.players[gameState.currentPlayerIndex].id,
+                        wasLegal: !thrower.hand.some(handCard => handCard.color === previousColor)
+                    };
                 }
+                break;
             }
             
-            // Set the chosen color
-            gameState.currentColor = chosenColor;
+            const nextPlayerForDraw4 = getNextPlayerIndex(gameState, 1);
+            gameState.players[nextPlayerForDraw4].hand.push(...takeCardsFromDrawPile(gameState, 4));
+            
             // Skip the next player's turn
             gameState.currentPlayerIndex = getNextPlayerIndex(gameState, 2);
             break;
@@ -239,6 +380,16 @@ function applyCardEffect(gameState, card, chosenColor = null) {
         default:
             // Regular number card, just update color
             gameState.currentColor = card.color;
+            
+            // Seven-O rule: hands only move if the card was not the player's last one
+            const playerWhoPlayed = gameState.players[gameState.currentPlayerIndex];
+            if (getRules(gameState).sevenO && playerWhoPlayed.hand.length > 0) {
+                if (card.value === '7') {
+                    swapHands(gameState, swapTargetId);
+                } else if (card.value === '0') {
+                    rotateHands(gameState);
+                }
+            }
             // Turn advancement for number cards is handled by the calling function
             break;
     }
@@ -246,6 +397,85 @@ function applyCardEffect(gameState, card, chosenColor = null) {
     return gameState;
 }
 
+/**
+ * Validates the swap target chosen for a 7 under the Seven-O rule
+ * @param {Object} gameState - Current game state
+ * @param {string} playerId - ID of the player playing the card
+ * @param {Object} card - The card being played
+ * @param {string} swapTargetId - ID of the player to swap hands with
+ * @param {number} handSizeAfterPlay - Cards the player holds once the card is played
+ * @returns {string|null} Error message, or null if no target is needed or the target is valid
+ */
+function getSwapTargetError(gameState, playerId, card, swapTargetId, handSizeAfterPlay) {
+    // No swap needed without the rule, for other cards, or when the 7 wins the game
+    if (!getRules(gameState).sevenO || card.value !== '7' || handSizeAfterPlay === 0) {
+        return null;
+    }
+    
+    if (!swapTargetId) {
+        return 'Must choose a player to swap hands with';
+    }
+    
+    const target = gameState.players.find(player => player.id === swapTargetId);
+    if (!target || target.id === playerId || target.isActive === false) {
+        return 'Invalid swap target';
+    }
+    
+    return null;
+}
+
+/**
+ * Keeps the UNO flag on the hand it was raised for after hands change owners
+ * Whoever now holds a flagged one-card hand must call UNO themselves.
+ * @param {Object} gameState - Game state after the hands moved
+ * @param {Array} flaggedHand - The hand that was flagged before the move (or undefined)
+ */
+function moveUnoFlagWithHand(gameState, flaggedHand) {
+    if (!flaggedHand) {
+        return;
+    }
+    const newOwner = gameState.players.find(player => player.hand === flaggedHand);
+    gameState.unoPlayerId = newOwner ? newOwner.id : null;
+}
+
+/**
+ * Swaps the current player's hand with the chosen player's hand (Seven-O rule)
+ * @param {Object} gameState - Current game state (with deep copies already made)
+ * @param {string} swapTargetId - ID of the player to swap hands with (already validated)
+ */
+function swapHands(gameState, swapTargetId) {
+    const player = gameState.players[gameState.currentPlayerIndex];
+    const target = gameState.players.find(p => p.id === swapTargetId);
+    if (!target) {
+        return;
+    }
+    
+    const flaggedHand = gameState.players.find(p => p.id === gameState.unoPlayerId)?.hand;
+    [player.hand, target.hand] = [target.hand, player.hand];
+    moveUnoFlagWithHand(gameState, flaggedHand);
+}
+
+/**
+ * Passes every active player's hand to the next active player in the direction of play (Seven-O rule)
+ * Inactive players keep their hands and are skipped.
+ * @param {Object} gameState - Current game state (with deep copies already made)
+ */
+function rotateHands(gameState) {
+    const activeIndexes = gameState.players
+        .map((player, index) => index)
+        .filter(index => gameState.players[index].isActive !== false);
+    const hands = activeIndexes.map(index => gameState.players[index].hand);
+    const total = activeIndexes.length;
+    
+    const flaggedHand = gameState.players.find(p => p.id === gameState.unoPlayerId)?.hand;
+    activeIndexes.forEach((playerIndex, position) => {
+        // Each player receives the hand of the previous active player in the direction of play
+        const fromPosition = (position - gameState.directionOfPlay + total) % total;
+        gameState.players[playerIndex].hand = hands[fromPosition];
+    });
+    moveUnoFlagWithHand(gameState, flaggedHand);
+}
+
 /**
  * Gets the index of the next player based on direction of play, skipping inactive players
  * @param {Object} gameState - Current game state
@@ -319,12 +549,40 @@ function reshuffleDiscardPile(gameState) {
         return card;
     });
     
-    newState.drawPile = shuffleDeck(resetCards);
+    newState.drawPile = shuffleDeck(resetCards, getRandom(newState));
     newState.discardPile = [topCard];
     
     return newState;
 }
 
+/**
+ * Takes cards from the top of the draw pile, reshuffling the discard pile whenever it runs out
+ * Works directly on the given state, so callers must pass a state with copied piles
+ * @param {Object} gameState - Game state to draw from
+ * @param {number} count - Number of cards to take
+ * @returns {Array} The cards taken (fewer than count if no cards are left at all)
+ */
+function takeCardsFromDrawPile(gameState, count) {
+    const cards = [];
+    
+    for (let i = 0; i < count; i++) {
+        if (gameState.drawPile.length === 0) {
+            const reshuffledState = reshuffleDiscardPile(gameState);
+            gameState.drawPile = [...reshuffledState.drawPile];
+            gameState.discardPile = [...reshuffledState.discardPile];
+            gameState.rngState = reshuffledState.rngState;
+        }
+        
+        if (gameState.drawPile.length === 0) {
+            break;
+        }
+        
+        cards.push(gameState.drawPile.shift());
+    }
+    
+    return cards;
+}
+
 /**
  * Checks if a player has won the game
  * @param {Object} player - Player object to check
@@ -334,42 +592,199 @@ function checkWinner(player) {
     return player.hand.length === 0;
 }
 
+/**
+ * Gets the official point value of a card left in hand at the end of a round
+ * @param {Object} card - Card to score
+ * @returns {number} Face value for number cards, 20 for action cards, 50 for wild cards
+ */
+function getCardPoints(card) {
+    if (card.type === 'number') {
+        return parseInt(card.value, 10);
+    }
+    return CARD_POINTS[card.value] || 0;
+}
+
+/**
+ * Ends the round that the given player just won
+ * In a single game this ends the game. In match mode the winner scores the points of every
+ * card left in the opponents' hands; the match ends once they reach the target score,
+ * otherwise a new round is dealt to the same players.
+ * @param {Object} gameState - Game state after the winning card's effect was applied
+ * @param {string} winnerId - ID of the player who emptied their hand
+ * @returns {Object} Updated game state (game over, or the next round dealt)
+ */
+function finishRound(gameState, winnerId) {
+    const rules = getRules(gameState);
+    
+    if (!rules.matchMode) {
+        gameState.isGameOver = true;
+        gameState.winner = winnerId;
+        return gameState;
+    }
+    
+    // A draw penalty still pending is taken before the hands are scored
+    if (gameState.pendingDrawPenalty > 0) {
+        const penaltyCards = takeCardsFromDrawPile(gameState, gameState.pendingDrawPenalty);
+        gameState.players[gameState.currentPlayerIndex].hand.push(...penaltyCards);
+        gameState.pendingDrawPenalty = 0;
+    }
+    
+    const points = gameState.players
+        .filter(player => player.id !== winnerId)
+        .reduce((total, player) => total + player.hand.reduce((sum, card) => sum + getCardPoints(card), 0), 0);
+    
+    const round = gameState.round || 1;
+    const scores = { ...(gameState.scores || {}) };
+    scores[winnerId] = (scores[winnerId] || 0) + points;
+    const roundHistory = [...(gameState.roundHistory || []), { round, winner: winnerId, points }];
+    
+    // Match over - the winner reached the target score
+    if (scores[winnerId] >= rules.targetScore) {
+        return {
+            ...gameState,
+            scores,
+            roundHistory,
+            drawFourChallenge: null,
+            isGameOver: true,
+            winner: winnerId
+        };
+    }
+    
+    // Deal a new round to the same players; inactive players sit it out with an empty hand
+    const activePlayerIds = gameState.players
+        .filter(player => player.isActive !== false)
+        .map(player => player.id);
+    const { players: dealtPlayers, drawPile, discardPile, firstCard } = dealRound(activePlayerIds, rules, getRandom(gameState));
+    
+    const nextRoundState = {
+        ...gameState,
+        players: gameState.players.map(player => ({
+            ...player,
+            hand: dealtPlayers.find(dealt => dealt.id === player.id)?.hand || []
+        })),
+        drawPile,
+        discardPile,
+        directionOfPlay: 1,
+        currentColor: firstCard.color,
+        playableDrawnCard: null,
+        unoPlayerId: null,
+        pendingDrawPenalty: 0,
+        drawFourChallenge: null,
+        lastDraw: null,
+        round: round + 1,
+        scores,
+        roundHistory
+    };
+    
+    // The first turn moves one seat clockwise every round
+    nextRoundState.currentPlayerIndex = gameState.roundStartPlayerIndex || 0;
+    nextRoundState.roundStartPlayerIndex = getNextPlayerIndex(nextRoundState, 1);
+    nextRoundState.currentPlayerIndex = nextRoundState.roundStartPlayerIndex;
+    
+    return nextRoundState;
+}
+
 // ============================================================================
 // PUBLIC API FUNCTIONS (EXPORTED)
 // ============================================================================
 
+/**
+ * Gets the deck order a shuffle seed produces
+ * This is exactly the first shuffle createGameState performs before dealing.
+ * @param {string} seed - Shuffle seed
+ * @returns {Array} The 108 cards in shuffled order (index 0 is dealt first)
+ */
+function getDeckOrder(seed) {
+    const rng = { rngState: seedToRngState(seed) };
+    return shuffleDeck(createDeck(), getRandom(rng));
+}
+
+/**
+ * Computes the public commitment to a shuffle (provably fair dealing)
+ * The commitment is the SHA-256 hex digest of `${seed}:${JSON.stringify(deckOrder)}`.
+ * It is published when the game starts; revealing the seed afterwards lets anyone
+ * recompute the deck order and check it against the commitment.
+ * @param {string} seed - Shuffle seed
+ * @returns {string} SHA-256 hex digest
+ */
+function getShuffleCommitment(seed) {
+    const deckOrder = getDeckOrder(seed);
+    return crypto.createHash('sha256').update(`${seed}:${JSON.stringify(deckOrder)}`).digest('hex');
+}
+
+/**
+ * Verifies a revealed shuffle seed against a published commitment
+ * @param {string} seed - The revealed seed
+ * @param {string} commitment - The commitment published when the game started
+ * @returns {Object} { valid, commitment, deckOrder } with the recomputed commitment and deck order
+ */
+function verifyShuffle(seed, commitment) {
+    const recomputed = getShuffleCommitment(seed);
+    return {
+        valid: typeof commitment === 'string' && recomputed === commitment.toLowerCase(),
+        commitment: recomputed,
+        deckOrder: getDeckOrder(seed)
+    };
+}
+
+/**
+ * Builds a complete house-rules object from a set of overrides
+ * Unknown rules and values of the wrong type are rejected so a typo in a room
+ * configuration never silently falls back to the official rules.
+ * @param {Object} overrides - Rules to change from the defaults (e.g. { startingHandSize: 5 })
+ * @returns {Object} Complete rules object or error object with error message
+ */
+function createRules(overrides = {}) {
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { error: 'Rules must be an object' };
+    }
+    
+    const rules = { ...DEFAULT_RULES };
+    for (const [rule, value] of Object.entries(overrides)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_RULES, rule)) {
+            return { error: `Unknown rule: ${rule}` };
+        }
+        if (typeof value !== typeof DEFAULT_RULES[rule]) {
+            return { error: `Rule ${rule} must be a ${typeof DEFAULT_RULES[rule]}` };
+        }
+        rules[rule] = value;
+    }
+    
+    if (!Number.isInteger(rules.startingHandSize) || rules.startingHandSize < 1 || rules.startingHandSize > 10) {
+        return { error: 'startingHandSize must be a whole number between 1 and 10' };
+    }
+    
+    if (!Number.isInteger(rules.targetScore) || rules.targetScore < 1) {
+        return { error: 'targetScore must be a positive whole number' };
+    }
+    
+    return rules;
+}
+
 /**
  * Creates initial game state with shuffled deck and dealt cards
  * This is the main function to start a new UNO game with the specified players.
- * Sets up the initial deck, deals 7 cards to each player, places the first card,
+ * Sets up the initial deck, deals the starting hands, places the first card,
  * and initializes all game state variables.
  * @param {Array} playerIds - Array of player IDs
+ * @param {Object} rules - House rules for this game (see createRules), defaults to official rules
+ * @param {string} seed - Shuffle seed; the same seed and the same actions replay the same game
  * @returns {Object} Complete initial game state
  */
-function createGameState(playerIds) {
+function createGameState(playerIds, rules = {}, seed = generateSeed()) {
     if (!playerIds || playerIds.length < 2 || playerIds.length > 10) {
         throw new Error('Game requires 2-10 players');
     }
     
-    // Create and shuffle deck
-    const deck = shuffleDeck(createDeck());
-    
-    // Deal cards to players
-    const { players, deck: remainingDeck } = dealCards(deck, playerIds, 7);
-    
-    // Place first card on discard pile
-    const discardPile = [remainingDeck.shift()];
-    const drawPile = remainingDeck;
-    
-    // Ensure first card is not a wild card or action card
-    let firstCard = discardPile[0];
-    while (firstCard.type === 'wild' || firstCard.type === 'action') {
-        drawPile.push(firstCard);
-        shuffleDeck(drawPile);
-        firstCard = drawPile.shift();
-        discardPile[0] = firstCard;
+    const gameRules = createRules(rules || {});
+    if (gameRules.error) {
+        throw new Error(gameRules.error);
     }
     
+    // Shuffle, deal and turn up the first card using the seeded generator
+    const rng = { rngState: seedToRngState(seed) };
+    const { players, drawPile, discardPile, firstCard } = dealRound(playerIds, gameRules, getRandom(rng));
+    
     // Initialize game state
     const gameState = {
         players,
@@ -379,7 +794,18 @@ function createGameState(playerIds) {
         directionOfPlay: 1, // 1 for clockwise, -1 for counter-clockwise
         currentColor: firstCard.color,
         isGameOver: false,
-        winner: null
+        winner: null,
+        pendingDrawPenalty: 0, // Cards the current player must take unless they stack (stacking rule)
+        drawFourChallenge: null, // Open Wild Draw Four challenge window (challenge rule)
+        round: 1,
+        roundStartPlayerIndex: 0,
+        scores: Object.fromEntries(playerIds.map(playerId => [playerId, 0])), // Match totals (matchMode rule)
+        roundHistory: [], // { round, winner, points } for every finished round
+        rules: gameRules,
+        seed: String(seed), // Never sent to clients before the game is over - it reveals the deck order
+        rngState: rng.rngState,
+        shuffleCommitment: getShuffleCommitment(seed), // Public hash of the seed and deck order
+        actionLog: [{ type: 'start', playerIds: [...playerIds], rules: gameRules }] // Everything applyAction accepted, for replay()
     };
     
     // Apply first card effect if it's an action card
@@ -394,14 +820,16 @@ function createGameState(playerIds) {
  * Handles a player playing a card
  * This function validates the move, applies card effects, and checks for game end.
  * Turn advancement is handled by the card's effect, not by this function directly.
+ * With the jumpIn rule, a player holding an exact copy of the top card may play it out of turn.
  * 
  * @param {Object} gameState - Current game state
  * @param {string} playerId - ID of player making the move
  * @param {Object} cardToPlay - Card being played
  * @param {string} chosenColor - Color chosen for wild cards (required for wild cards)
+ * @param {string} swapTargetId - Player to swap hands with (required for a 7 under the Seven-O rule)
  * @returns {Object} Updated game state or error object with error message
  */
-function playCard(gameState, playerId, cardToPlay, chosenColor = null) {
+function playCard(gameState, playerId, cardToPlay, chosenColor = null, swapTargetId = null) {
     // Validate game is not over
     if (gameState.isGameOver) {
         return { error: 'Game is already over' };
@@ -409,12 +837,21 @@ function playCard(gameState, playerId, cardToPlay, chosenColor = null) {
     
     // CRITICAL BUG FIX: Prevent playing cards from hand while in limbo state
     // This prevents the "Ghost Card" bug where playableDrawnCard state persists incorrectly
-    if (gameState.playableDrawnCard) {
+    if (gameState.playableDrawnCard && gameState.playableDrawnCard.playerId === playerId) {
         return { error: 'You must first play or keep the card you just drew. You cannot play other cards from your hand at this time.' };
     }
     
-    // Validate it's the player's turn
-    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    // Validate the card before anything reads it (a bad payload must not throw)
+    if (!cardToPlay || typeof cardToPlay !== 'object') {
+        return { error: 'Invalid card' };
+    }
+    
+    // Validate it's the player's turn, or that they are jumping in with an identical card
+    let currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    const isJumpIn = !!currentPlayer && currentPlayer.id !== playerId && canJumpIn(gameState, playerId, cardToPlay);
+    if (isJumpIn) {
+        currentPlayer = gameState.players.find(player => player.id === playerId);
+    }
     if (!currentPlayer || currentPlayer.id !== playerId) {
         return { error: 'Not your turn' };
     }
@@ -436,6 +873,16 @@ function playCard(gameState, playerId, cardToPlay, chosenColor = null) {
         return { error: 'Invalid move - card does not match color, number, or symbol' };
     }
     
+    // A pending draw penalty can only be answered by stacking the same draw card
+    if (gameState.pendingDrawPenalty > 0) {
+        if (gameState.drawFourChallenge && !getRules(gameState).stacking) {
+            return { error: `You must challenge the Wild Draw Four or draw ${gameState.pendingDrawPenalty} cards` };
+        }
+        if (cardToPlay.value !== topCard.value) {
+            return { error: `You must stack a matching draw card or draw ${gameState.pendingDrawPenalty} cards` };
+        }
+    }
+    
     // Validate wild card has chosen color
     if (cardToPlay.type === 'wild' && !chosenColor) {
         return { error: 'Must choose a color for wild card' };
@@ -445,6 +892,12 @@ function playCard(gameState, playerId, cardToPlay, chosenColor = null) {
         return { error: 'Invalid color choice' };
     }
     
+    // Validate swap target for a 7 (Seven-O rule)
+    const swapTargetError = getSwapTargetError(gameState, playerId, cardToPlay, swapTargetId, currentPlayer.hand.length - 1);
+    if (swapTargetError) {
+        return { error: swapTargetError };
+    }
+    
     // Create new game state with deep copies
     const newState = { ...gameState };
     newState.players = gameState.players.map(player => ({
@@ -454,6 +907,11 @@ function playCard(gameState, playerId, cardToPlay, chosenColor = null) {
     newState.drawPile = [...gameState.drawPile];
     newState.discardPile = [...gameState.discardPile];
     
+    // Jump-in: the turn moves to the jumping player and continues from their seat
+    if (isJumpIn) {
+        newState.currentPlayerIndex = newState.players.findIndex(player => player.id === playerId);
+    }
+    
     // Remove card from player's hand
     newState.players[newState.currentPlayerIndex].hand.splice(cardIndex, 1);
     
@@ -473,15 +931,13 @@ function playCard(gameState, playerId, cardToPlay, chosenColor = null) {
     // Check for winner BEFORE applying card effects (check the player who just played)
     const playerWhoJustPlayed = newState.players[newState.currentPlayerIndex];
     if (checkWinner(playerWhoJustPlayed)) {
-        newState.isGameOver = true;
-        newState.winner = playerId;
-        // Still apply card effects for consistency, but game is over
-        const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor);
-        return stateAfterEffect;
+        // Still apply card effects for consistency (a final draw card counts toward the round score)
+        const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor, swapTargetId);
+        return finishRound(stateAfterEffect, playerId);
     }
     
     // Apply card effect (this handles turn advancement based on card type)
-    const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor);
+    const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor, swapTargetId);
     
     // Only advance turn for number cards
     // Action cards and wild cards handle turn advancement internally in applyCardEffect
@@ -496,10 +952,14 @@ function playCard(gameState, playerId, cardToPlay, chosenColor = null) {
  * Handles a player drawing a card
  * This function implements the official UNO rule where a player can play a drawn card immediately if valid.
  * If the drawn card is playable, it enters a "limbo state" where the player can choose to play or pass.
+ * With the playAfterDraw rule turned off, the drawn card always goes to the hand and the turn ends.
+ * If a stacked draw penalty is pending, the player takes all of those cards instead and loses the turn.
+ * With the drawUntilPlayable rule, cards are drawn until a playable one turns up; the unplayable ones
+ * go to the hand. The number of cards drawn is reported in gameState.lastDraw.
  * 
  * @param {Object} gameState - Current game state
  * @param {string} playerId - ID of player drawing the card
- * @returns {Object} Updated game state with either playableDrawnCard or card added to hand
+ * @returns {Object} Updated game state with either playableDrawnCard or card(s) added to hand
  */
 function drawCard(gameState, playerId) {
     // Validate game is not over
@@ -514,7 +974,7 @@ function drawCard(gameState, playerId) {
     }
     
     // Create new game state with deep copies
-    let newState = { ...gameState };
+    const newState = { ...gameState };
     newState.players = gameState.players.map(player => ({
         ...player,
         hand: [...player.hand]
@@ -522,38 +982,78 @@ function drawCard(gameState, playerId) {
     newState.drawPile = [...gameState.drawPile];
     newState.discardPile = [...gameState.discardPile];
     
-    // Handle empty draw pile by reshuffling discard pile
-    if (newState.drawPile.length === 0) {
-        newState = reshuffleDiscardPile(newState);
+    // Taking a stacked draw penalty: draw every pending card and lose the turn
+    if (newState.pendingDrawPenalty > 0) {
+        const penaltyCards = takeCardsFromDrawPile(newState, newState.pendingDrawPenalty);
+        newState.players[newState.currentPlayerIndex].hand.push(...penaltyCards);
+        
+        if (newState.unoPlayerId === playerId) {
+            newState.unoPlayerId = null;
+        }
+        
+        newState.lastDraw = { playerId, count: penaltyCards.length };
+        newState.pendingDrawPenalty = 0;
+        newState.drawFourChallenge = null; // Drawing accepts an unchallenged Wild Draw Four
+        newState.playableDrawnCard = null;
+        newState.currentPlayerIndex = getNextPlayerIndex(newState, 1);
+        return newState;
     }
     
-    // If still no cards available after reshuffling, return error
-    if (newState.drawPile.length === 0) {
+    // Draw one card, or keep drawing until a playable one turns up (drawUntilPlayable rule).
+    // takeCardsFromDrawPile reshuffles the discard pile whenever the draw pile runs out.
+    const rules = getRules(newState);
+    const topCard = newState.discardPile[newState.discardPile.length - 1];
+    const unplayableCards = [];
+    let playableCard = null;
+    
+    do {
+        const [drawnCard] = takeCardsFromDrawPile(newState, 1);
+        if (!drawnCard) {
+            break;
+        }
+        
+        // Check if the drawn card can be played
+        if (isMoveValid(drawnCard, topCard, newState.currentColor)) {
+            playableCard = drawnCard;
+        } else {
+            unplayableCards.push(drawnCard);
+        }
+    } while (rules.drawUntilPlayable && !playableCard);
+    
+    const cardsDrawn = unplayableCards.length + (playableCard ? 1 : 0);
+    
+    // If no cards were available even after reshuffling, return error
+    if (cardsDrawn === 0) {
         return { error: 'No cards available to draw' };
     }
     
-    // Draw exactly one card from the draw pile
-    const drawnCard = newState.drawPile.shift();
+    newState.lastDraw = { playerId, count: cardsDrawn };
     
-    // Check if the drawn card can be played
-    const topCard = newState.discardPile[newState.discardPile.length - 1];
-    const isPlayable = isMoveValid(drawnCard, topCard, newState.currentColor);
+    const currentPlayerHand = newState.players[newState.currentPlayerIndex].hand;
+    currentPlayerHand.push(...unplayableCards);
+    
+    // Clear UNO flag if this player was on UNO and just took cards into their hand
+    if (unplayableCards.length > 0 && newState.unoPlayerId === playerId) {
+        newState.unoPlayerId = null;
+    }
     
-    if (isPlayable) {
+    if (playableCard && rules.playAfterDraw) {
         // Enter "limbo state" - card is playable, let player choose
         newState.playableDrawnCard = {
-            card: { ...drawnCard },
+            card: { ...playableCard },
             playerId: playerId
         };
         // Don't add to hand, don't end turn
         return newState;
     } else {
-        // Card is not playable - add to hand and end turn
-        newState.players[newState.currentPlayerIndex].hand.push(drawnCard);
-        
-        // Clear UNO flag if this player was on UNO and just drew a card
-        if (newState.unoPlayerId === playerId) {
-            newState.unoPlayerId = null;
+        // Card is not playable (or play after draw is off) - add to hand and end turn
+        if (playableCard) {
+            currentPlayerHand.push(playableCard);
+            
+            // Clear UNO flag if this player was on UNO and just drew a card
+            if (newState.unoPlayerId === playerId) {
+                newState.unoPlayerId = null;
+            }
         }
         
         newState.currentPlayerIndex = getNextPlayerIndex(newState, 1);
@@ -569,9 +1069,10 @@ function drawCard(gameState, playerId) {
  * @param {Object} gameState - Current game state (must contain playableDrawnCard)
  * @param {string} playerId - ID of player playing the drawn card
  * @param {string} chosenColor - Color chosen for wild cards (required for wild cards)
+ * @param {string} swapTargetId - Player to swap hands with (required for a 7 under the Seven-O rule)
  * @returns {Object} Updated game state with card played and limbo state cleared
  */
-function playDrawnCard(gameState, playerId, chosenColor = null) {
+function playDrawnCard(gameState, playerId, chosenColor = null, swapTargetId = null) {
     // Validate game is not over
     if (gameState.isGameOver) {
         return { error: 'Game is already over' };
@@ -605,6 +1106,12 @@ function playDrawnCard(gameState, playerId, chosenColor = null) {
         return { error: 'Invalid color choice' };
     }
     
+    // Validate swap target for a 7 (Seven-O rule) - the drawn card was never in the hand
+    const swapTargetError = getSwapTargetError(gameState, playerId, cardToPlay, swapTargetId, currentPlayer.hand.length);
+    if (swapTargetError) {
+        return { error: swapTargetError };
+    }
+    
     // Create new game state with deep copies
     const newState = { ...gameState };
     newState.players = gameState.players.map(player => ({
@@ -635,15 +1142,13 @@ function playDrawnCard(gameState, playerId, chosenColor = null) {
     // Check for winner BEFORE applying card effects (check the player who just played)
     const playerWhoJustPlayed = newState.players[newState.currentPlayerIndex];
     if (checkWinner(playerWhoJustPlayed)) {
-        newState.isGameOver = true;
-        newState.winner = playerId;
-        // Still apply card effects for consistency, but game is over
-        const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor);
-        return stateAfterEffect;
+        // Still apply card effects for consistency (a final draw card counts toward the round score)
+        const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor, swapTargetId);
+        return finishRound(stateAfterEffect, playerId);
     }
     
     // Apply card effect (this handles turn advancement based on card type)
-    const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor);
+    const stateAfterEffect = applyCardEffect(newState, cardToPlay, chosenColor, swapTargetId);
     
     // Only advance turn for number cards
     // Action cards and wild cards handle turn advancement internally in applyCardEffect
@@ -762,6 +1267,7 @@ function callUnoPenalty(gameState, targetPlayerId, callerPlayerId = null) {
             const reshuffledState = reshuffleDiscardPile(newState);
             newState.drawPile = [...reshuffledState.drawPile];
             newState.discardPile = [...reshuffledState.discardPile];
+            newState.rngState = reshuffledState.rngState;
         }
         
         // Draw a card from the draw pile
@@ -823,13 +1329,376 @@ function callUnoSelf(gameState, playerId) {
     return newState;
 }
 
+/**
+ * Resolves a Wild Draw Four challenge raised by the player it was played on
+ * If the thrower was bluffing (held a card of the color that was active), the thrower
+ * draws the 4 cards instead and the challenger's turn goes on. If the card was legal,
+ * the challenger draws the 4 cards plus 2 more and loses their turn.
+ * @param {Object} gameState - Current game state (must contain drawFourChallenge)
+ * @param {string} playerId - ID of the player challenging (the Wild Draw Four victim)
+ * @returns {Object} Updated game state with challengeResult metadata (dropped by the next applyAction), or error if invalid
+ */
+function challengeDrawFour(gameState, playerId) {
+    // Validate game is not over
+    if (gameState.isGameOver) {
+        return { error: 'Game is already over' };
+    }
+    
+    // Validate there is an open challenge window
+    const challenge = gameState.drawFourChallenge;
+    if (!challenge) {
+        return { error: 'There is no Wild Draw Four to challenge' };
+    }
+    
+    // Only the victim may challenge
+    if (challenge.targetPlayerId !== playerId) {
+        return { error: 'Only the player hit by the Wild Draw Four can challenge it' };
+    }
+    
+    // Create a new state object to avoid mutating the original
+    const newState = {
+        ...gameState,
+        players: gameState.players.map(player => ({
+            ...player,
+            hand: [...player.hand]
+        })),
+        drawPile: [...gameState.drawPile],
+        discardPile: [...gameState.discardPile]
+    };
+    
+    const challenger = newState.players.find(player => player.id === playerId);
+    const thrower = newState.players.find(player => player.id === challenge.playerId);
+    
+    let penalizedPlayer;
+    let cardsToDraw;
+    
+    if (challenge.wasLegal) {
+        // Challenge failed: challenger takes the penalty plus 2 and loses the turn
+        penalizedPlayer = challenger;
+        cardsToDraw = newState.pendingDrawPenalty + 2;
+        newState.pendingDrawPenalty = 0;
+        newState.currentPlayerIndex = getNextPlayerIndex(newState, 1);
+    } else {
+        // Bluff caught: thrower takes the 4 cards, challenger plays on
+        penalizedPlayer = thrower;
+        cardsToDraw = 4;
+        newState.pendingDrawPenalty = Math.max(0, newState.pendingDrawPenalty - 4);
+    }
+    
+    const cardsDrawn = takeCardsFromDrawPile(newState, cardsToDraw);
+    penalizedPlayer.hand.push(...cardsDrawn);
+    
+    // Clear the UNO flag if the penalized player was on UNO
+    if (newState.unoPlayerId === penalizedPlayer.id) {
+        newState.unoPlayerId = null;
+    }
+    
+    // Close the challenge window
+    newState.drawFourChallenge = null;
+    
+    return {
+        ...newState,
+        challengeResult: {
+            challenger: playerId,
+            challenged: challenge.playerId,
+            successful: !challenge.wasLegal,
+            penalizedPlayer: penalizedPlayer.id,
+            cardsDrawn: cardsDrawn.length
+        }
+    };
+}
+
+/**
+ * Takes a player out of a running game (disconnect or forfeit)
+ * The player stays in the players list but is marked inactive and skipped from now on.
+ * A drawn card they were deciding on is discarded from play, and a draw penalty or
+ * challenge aimed at them is dropped rather than passed on. When only one active
+ * player is left, the game ends with them as the winner.
+ * @param {Object} gameState - Current game state
+ * @param {string} playerId - ID of the player leaving
+ * @returns {Object} Updated game state or error object with error message
+ */
+function removePlayer(gameState, playerId) {
+    // Validate game is not over
+    if (gameState.isGameOver) {
+        return { error: 'Game is already over' };
+    }
+    
+    const playerIndex = gameState.players.findIndex(player => player.id === playerId);
+    if (playerIndex === -1) {
+        return { error: 'Player not found' };
+    }
+    
+    if (gameState.players[playerIndex].isActive === false) {
+        return { error: 'Player has already left the game' };
+    }
+    
+    // Create a new state object to avoid mutating the original
+    const newState = {
+        ...gameState,
+        players: gameState.players.map(player => ({
+            ...player,
+            hand: [...player.hand]
+        })),
+        drawPile: [...gameState.drawPile],
+        discardPile: [...gameState.discardPile]
+    };
+    
+    // Mark player as inactive
+    newState.players[playerIndex].isActive = false;
+    
+    // Clear any limbo state if the leaving player was in limbo
+    if (newState.playableDrawnCard && newState.playableDrawnCard.playerId === playerId) {
+        newState.playableDrawnCard = null;
+    }
+    
+    // If it was the leaving player's turn, advance to the next active player
+    if (newState.currentPlayerIndex === playerIndex) {
+        // A stacked draw penalty was aimed at the leaving player - don't pass it on
+        newState.pendingDrawPenalty = 0;
+        newState.drawFourChallenge = null;
+        newState.currentPlayerIndex = getNextPlayerIndex(newState, 1);
+    }
+    
+    // End the game if only one active player remains
+    const activePlayers = newState.players.filter(player => player.isActive !== false);
+    if (activePlayers.length <= 1) {
+        newState.isGameOver = true;
+        newState.winner = activePlayers.length === 1 ? activePlayers[0].id : null;
+    }
+    
+    return newState;
+}
+
+/**
+ * Applies a single action to the game state and records it in the action log
+ * This is the one entry point for changing a running game; the functions above do the
+ * actual work. Accepted actions are appended to gameState.actionLog, rejected ones are not.
+ * Supported actions:
+ * - { type: 'play', playerId, card, chosenColor?, swapTargetId? }
+ * - { type: 'draw', playerId }
+ * - { type: 'playDrawn', playerId, chosenColor?, swapTargetId? }
+ * - { type: 'passDrawn', playerId }
+ * - { type: 'callUno', playerId, targetPlayerId } (penalty call on another player)
+ * - { type: 'callUnoSelf', playerId }
+ * - { type: 'challengeDrawFour', playerId }
+ * - { type: 'leave', playerId }
+ * @param {Object} gameState - Current game state
+ * @param {Object} action - Action to apply
+ * @returns {Object} Updated game state or error object with error message
+ */
+function applyAction(gameState, action) {
+    if (!action || typeof action !== 'object') {
+        return { error: 'Action must be an object' };
+    }
+    
+    const { type, playerId } = action;
+    let result;
+    let loggedAction;
+    
+    // A challenge result only describes the action that produced it, so it is not carried forward
+    const { challengeResult, ...currentState } = gameState;
+    gameState = currentState;
+    
+    switch (type) {
+        case 'play':
+            result = playCard(gameState, playerId, action.card, action.chosenColor || null, action.swapTargetId || null);
+            loggedAction = {
+                type,
+                playerId,
+                card: action.card && { color: action.card.color, value: action.card.value, type: action.card.type },
+                chosenColor: action.chosenColor || null,
+                swapTargetId: action.swapTargetId || null
+            };
+            break;
+            
+        case 'draw':
+            result = drawCard(gameState, playerId);
+            loggedAction = { type, playerId };
+            break;
+            
+        case 'playDrawn':
+            result = playDrawnCard(gameState, playerId, action.chosenColor || null, action.swapTargetId || null);
+            loggedAction = {
+                type,
+                playerId,
+                chosenColor: action.chosenColor || null,
+                swapTargetId: action.swapTargetId || null
+            };
+            break;
+            
+        case 'passDrawn':
+            result = passDrawnCard(gameState, playerId);
+            loggedAction = { type, playerId };
+            break;
+            
+        case 'callUno':
+            result = callUnoPenalty(gameState, action.targetPlayerId, playerId);
+            loggedAction = { type, playerId, targetPlayerId: action.targetPlayerId };
+            break;
+            
+        case 'callUnoSelf':
+            result = callUnoSelf(gameState, playerId);
+            loggedAction = { type, playerId };
+            break;
+            
+        case 'challengeDrawFour':
+            result = challengeDrawFour(gameState, playerId);
+            loggedAction = { type, playerId };
+            break;
+            
+        case 'leave':
+            result = removePlayer(gameState, playerId);
+            loggedAction = { type, playerId };
+            break;
+            
+        default:
+            return { error: `Unknown action type: ${type}` };
+    }
+    
+    if (result.error) {
+        return result;
+    }
+    
+    return {
+        ...result,
+        actionLog: [...(gameState.actionLog || []), loggedAction]
+    };
+}
+
+/**
+ * Rebuilds a game from its seed and action log
+ * The log must start with the 'start' entry createGameState writes. Pass a prefix of
+ * the log to rebuild the game as it was at that point (e.g. actions.slice(0, n + 1)).
+ * @param {string} seed - Shuffle seed the game was created with
+ * @param {Array<Object>} actions - Action log (gameState.actionLog)
+ * @returns {Object} Game state after the last action, or error object naming the action that failed
+ */
+function replay(seed, actions) {
+    if (!Array.isArray(actions) || actions.length === 0 || actions[0].type !== 'start') {
+        return { error: 'Action log must begin with a start action' };
+    }
+    
+    const [start, ...moves] = actions;
+    let gameState;
+    try {
+        gameState = createGameState(start.playerIds, start.rules, seed);
+    } catch (error) {
+        return { error: error.message };
+    }
+    
+    for (let i = 0; i < moves.length; i++) {
+        const result = applyAction(gameState, moves[i]);
+        if (result.error) {
+            return { error: `Action ${i + 1} (${moves[i].type}) failed: ${result.error}` };
+        }
+        gameState = result;
+    }
+    
+    return gameState;
+}
+
+/**
+ * Lists every action a player may legally take right now
+ * Candidate moves are run through the engine functions above and only the ones that
+ * succeed are kept, so the list follows the active house rules exactly. Every move
+ * has the shape of an engine action: { type, playerId, card?, chosenColor?, swapTargetId?, targetPlayerId? }
+ * with type 'play', 'draw', 'playDrawn', 'passDrawn', 'challengeDrawFour', 'callUnoSelf' or 'callUno'.
+ * Wilds are listed once per color, and 7s once per swap target under the Seven-O rule.
+ * @param {Object} gameState - Current game state
+ * @param {string} playerId - ID of the player to list moves for
+ * @returns {Array<Object>} Legal moves (empty when the player can do nothing)
+ */
+function getLegalMoves(gameState, playerId) {
+    const moves = [];
+    
+    const player = gameState.players.find(p => p.id === playerId);
+    if (gameState.isGameOver || !player || player.isActive === false) {
+        return moves;
+    }
+    
+    // Color and swap target combinations worth trying for a card; the engine rejects the rest
+    const colorChoices = card => card.type === 'wild' ? COLORS : [null];
+    const swapChoices = card => {
+        if (!getRules(gameState).sevenO || card.value !== '7') {
+            return [null];
+        }
+        const targets = gameState.players
+            .filter(p => p.id !== playerId && p.isActive !== false)
+            .map(p => p.id);
+        return [null, ...targets];
+    };
+    
+    // Playing from hand (on turn, or out of turn with the jumpIn rule)
+    const triedCards = new Set();
+    for (const card of player.hand) {
+        const cardKey = `${card.color}:${card.value}`;
+        if (triedCards.has(cardKey)) {
+            continue;
+        }
+        triedCards.add(cardKey);
+        
+        for (const chosenColor of colorChoices(card)) {
+            for (const swapTargetId of swapChoices(card)) {
+                if (!playCard(gameState, playerId, card, chosenColor, swapTargetId).error) {
+                    moves.push({ type: 'play', playerId, card, chosenColor, swapTargetId });
+                }
+            }
+        }
+    }
+    
+    const isOwnLimbo = gameState.playableDrawnCard && gameState.playableDrawnCard.playerId === playerId;
+    if (isOwnLimbo) {
+        // Playing or keeping the card that was just drawn
+        const drawnCard = gameState.playableDrawnCard.card;
+        for (const chosenColor of colorChoices(drawnCard)) {
+            for (const swapTargetId of swapChoices(drawnCard)) {
+                if (!playDrawnCard(gameState, playerId, chosenColor, swapTargetId).error) {
+                    moves.push({ type: 'playDrawn', playerId, card: drawnCard, chosenColor, swapTargetId });
+                }
+            }
+        }
+        
+        if (!passDrawnCard(gameState, playerId).error) {
+            moves.push({ type: 'passDrawn', playerId });
+        }
+    } else if (!drawCard(gameState, playerId).error) {
+        // Drawing (also how a pending penalty or an unchallenged Wild Draw Four is accepted)
+        moves.push({ type: 'draw', playerId });
+    }
+    
+    if (!challengeDrawFour(gameState, playerId).error) {
+        moves.push({ type: 'challengeDrawFour', playerId });
+    }
+    
+    // UNO calls: on yourself while vulnerable, or on whoever else is
+    if (gameState.unoPlayerId === playerId) {
+        if (!callUnoSelf(gameState, playerId).error) {
+            moves.push({ type: 'callUnoSelf', playerId });
+        }
+    } else if (gameState.unoPlayerId && !callUnoPenalty(gameState, gameState.unoPlayerId, playerId).error) {
+        moves.push({ type: 'callUno', playerId, targetPlayerId: gameState.unoPlayerId });
+    }
+    
+    return moves;
+}
+
 // Export the game engine functions
 module.exports = {
+    createRules,
     createGameState,
     playCard,
     drawCard,
     playDrawnCard,
     passDrawnCard,
     callUnoPenalty,
-    callUnoSelf
+    callUnoSelf,
+    challengeDrawFour,
+    removePlayer,
+    applyAction,
+    replay,
+    getLegalMoves,
+    getDeckOrder,
+    getShuffleCommitment,
+    verifyShuffle
 };
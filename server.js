@@ -19,10 +19,14 @@ const cors = require('cors'); // <-- Import
 const { Server } = require('socket.io');
 const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 
 // Import the Game Engine - handles all UNO game logic
 const GameEngine = require('./game-logic/GameEngine');
 
+// Import the Bot Player - picks moves for computer-controlled seats
+const BotPlayer = require('./game-logic/BotPlayer');
+
 // Create Express app and HTTP server for Socket.io integration
 const app = express();
 const httpServer = createServer(app);
@@ -54,9 +58,81 @@ const dbPool = mysql.createPool({
 // This provides fast access during gameplay while maintaining database persistence
 let activeGames = {};
 
+// Last accepted jump-in per room, used to settle two players jumping in at the same moment
+let lastJumpIns = {};
+
+// Pending bot move per room (at most one; re-planned after every update)
+let botTimers = {};
+
+// Grace period timers for disconnected players, keyed by `${roomId}:${playerId}`
+let reconnectTimers = {};
+
+// Latest room view released to each room's spectators (lags behind with spectatorDelaySeconds)
+let spectatorFeeds = {};
+
+// Turn clock per room (turnTimerSeconds setting); the deadline itself lives in the game state
+let turnTimers = {};
+
+// Database write in flight per room, with the newest state still waiting to be written
+let pendingDbWrites = {};
+
+// When each lobby player last acted, keyed by room and then player ID
+let lobbyActivity = {};
+
+// Tail of each room's action queue; state-changing work for a room runs one task at a time
+let roomActionQueues = {};
+
 // Server configuration
 const PORT = 3001;
 
+// A second jump-in arriving this soon after an accepted one lost the race (jumpIn rule)
+const JUMP_IN_RACE_WINDOW_MS = 500;
+
+// Bots wait a random time in this range before each move, so they feel like people
+const BOT_MIN_DELAY_MS = 800;
+const BOT_MAX_DELAY_MS = 2000;
+
+// Room options that are not game rules (house rules live in GameEngine.createRules)
+const DEFAULT_ROOM_SETTINGS = {
+    botTakeover: false, // A bot plays a disconnected player's seat until they rejoin
+    reconnectGraceSeconds: 30, // How long a disconnected player's seat is held (0 disconnects at once)
+    allowSpectators: true, // Users who are not playing may watch the game
+    spectatorDelaySeconds: 0, // Spectators see every update this much later (keeps them from feeding players)
+    turnTimerSeconds: 0, // Time for each turn before the server draws or passes for the player (0 = no limit)
+    timeBankSeconds: 0, // Chess clock: each player's total time for all their turns; out of time means out of the game (0 = off)
+    timeBankIncrementSeconds: 0, // Added to a player's time bank after each of their turns (timeBankSeconds only)
+    afkTurnLimit: 3, // Timed-out turns in a row after which a player is removed from the game (0 = never)
+    lobbyIdleSeconds: 0, // A lobby player without a connected socket who does nothing this long is removed (0 = never)
+    isPrivate: false, // Hidden from the room list; joining needs the room password or an invite
+    roomName: '' // Shown instead of the room code when set (up to 40 characters)
+};
+
+// Level of the bot that plays a disconnected player's seat (botTakeover setting)
+const TAKEOVER_BOT_LEVEL = 'medium';
+
+// Attempts at a room change whose save keeps losing to another writer (games.state_version)
+const MAX_STATE_WRITE_ATTEMPTS = 3;
+
+// How often waiting lobbies are checked for idle players (lobbyIdleSeconds setting)
+const LOBBY_IDLE_SWEEP_MS = 15 * 1000;
+
+// Moves that finish a turn; the clock restarts after them even if the same seat goes again
+// (a Skip or Reverse with two players, or a won Wild Draw Four challenge)
+const TURN_ENDING_ACTIONS = ['play', 'playDrawn', 'passDrawn', 'challengeDrawFour'];
+
+// Key used to sign session and invite tokens. Without SESSION_SECRET every restart logs everyone out.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set; using a random key (sessions end when the server restarts)');
+}
+
+// How long a session token stays valid after login
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Private room invites last a day unless the host asks for another lifetime (up to a week)
+const DEFAULT_INVITE_TTL_MINUTES = 24 * 60;
+const MAX_INVITE_TTL_MINUTES = 7 * 24 * 60;
+
 app.use(cors());
 // Middleware to parse JSON requests from HTTP API calls
 app.use(express.json());
@@ -78,13 +154,97 @@ function generateRoomId() {
     return result;
 }
 
+/**
+ * Gets the sockets in a socket.io room (a game room, spectator or session channel)
+ * Only the room's members are visited, never every socket on the server.
+ * @param {string} channel - socket.io room name
+ * @returns {Array} Sockets in the room
+ */
+function getChannelSockets(channel) {
+    const socketIds = io.sockets.adapter.rooms.get(channel) || [];
+    return [...socketIds].map(socketId => io.sockets.sockets.get(socketId)).filter(Boolean);
+}
+
+/**
+ * Builds a complete room settings object from a set of overrides
+ * Unknown settings and values of the wrong type are rejected, like house rules are.
+ * @param {Object} overrides - Settings to change from the defaults (e.g. { botTakeover: true })
+ * @returns {Object} Complete settings object or error object with error message
+ */
+function createRoomSettings(overrides = {}) {
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { error: 'Settings must be an object' };
+    }
+    
+    const settings = { ...DEFAULT_ROOM_SETTINGS };
+    for (const [setting, value] of Object.entries(overrides)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_ROOM_SETTINGS, setting)) {
+            return { error: `Unknown setting: ${setting}` };
+        }
+        if (typeof value !== typeof DEFAULT_ROOM_SETTINGS[setting]) {
+            return { error: `Setting ${setting} must be a ${typeof DEFAULT_ROOM_SETTINGS[setting]}` };
+        }
+        settings[setting] = value;
+    }
+    
+    if (!Number.isInteger(settings.reconnectGraceSeconds) || settings.reconnectGraceSeconds < 0 || settings.reconnectGraceSeconds > 300) {
+        return { error: 'reconnectGraceSeconds must be a whole number between 0 and 300' };
+    }
+    
+    if (!Number.isInteger(settings.spectatorDelaySeconds) || settings.spectatorDelaySeconds < 0 || settings.spectatorDelaySeconds > 120) {
+        return { error: 'spectatorDelaySeconds must be a whole number between 0 and 120' };
+    }
+    
+    if (settings.turnTimerSeconds !== 0 && (!Number.isInteger(settings.turnTimerSeconds) || settings.turnTimerSeconds < 10 || settings.turnTimerSeconds > 300)) {
+        return { error: 'turnTimerSeconds must be 0 (no limit) or a whole number between 10 and 300' };
+    }
+    
+    if (settings.timeBankSeconds !== 0 && (!Number.isInteger(settings.timeBankSeconds) || settings.timeBankSeconds < 30 || settings.timeBankSeconds > 3600)) {
+        return { error: 'timeBankSeconds must be 0 (off) or a whole number between 30 and 3600' };
+    }
+    
+    if (!Number.isInteger(settings.timeBankIncrementSeconds) || settings.timeBankIncrementSeconds < 0 || settings.timeBankIncrementSeconds > 60) {
+        return { error: 'timeBankIncrementSeconds must be a whole number between 0 and 60' };
+    }
+    
+    if (!Number.isInteger(settings.afkTurnLimit) || settings.afkTurnLimit < 0 || settings.afkTurnLimit > 20) {
+        return { error: 'afkTurnLimit must be a whole number between 0 and 20' };
+    }
+    
+    if (settings.lobbyIdleSeconds !== 0 && (!Number.isInteger(settings.lobbyIdleSeconds) || settings.lobbyIdleSeconds < 30 || settings.lobbyIdleSeconds > 3600)) {
+        return { error: 'lobbyIdleSeconds must be 0 (never) or a whole number between 30 and 3600' };
+    }
+    
+    // A time bank replaces the flat turn limit
+    if (settings.turnTimerSeconds > 0 && settings.timeBankSeconds > 0) {
+        return { error: 'Use either turnTimerSeconds or timeBankSeconds, not both' };
+    }
+    
+    settings.roomName = settings.roomName.trim();
+    if (settings.roomName.length > 40) {
+        return { error: 'roomName must be at most 40 characters' };
+    }
+    
+    return settings;
+}
+
+/**
+ * Gets the settings of a room (lobby or game state), falling back to the defaults
+ * for any setting that is not set (rooms created before settings existed have none)
+ * @param {Object} gameState - Lobby or game state
+ * @returns {Object} Complete settings object
+ */
+function getRoomSettings(gameState) {
+    return { ...DEFAULT_ROOM_SETTINGS, ...(gameState.settings || {}) };
+}
+
 /**
  * Load active games from database into cache on server startup
  */
 async function loadActiveGamesIntoCache() {
     try {
         const [gameRows] = await dbPool.execute(
-            'SELECT room_code, game_state FROM games WHERE status = ?',
+            'SELECT room_code, state_version, game_state FROM games WHERE status = ?',
             ['in_progress']
         );
         
@@ -92,8 +252,15 @@ async function loadActiveGamesIntoCache() {
             const gameState = gameData.game_state;
             // Only load if it's a proper game state (not lobby state)
             if (gameState.players && gameState.currentPlayerIndex !== undefined) {
-                activeGames[gameData.room_code] = gameState;
+                activeGames[gameData.room_code] = { ...gameState, stateVersion: gameData.state_version };
                 console.log(`Loaded game ${gameData.room_code} into cache`);
+                scheduleBotAction(gameData.room_code);
+                scheduleTurnTimer(gameData.room_code);
+                
+                // Seats that were held when the server stopped keep their original deadline
+                gameState.players
+                    .filter(player => player.reconnectDeadline)
+                    .forEach(player => startReconnectTimer(gameData.room_code, player.id, player.reconnectDeadline));
             }
         }
         
@@ -121,6 +288,449 @@ async function getUserId(username) {
     }
 }
 
+// ============================================================================
+// SESSION FUNCTIONS
+// ============================================================================
+
+/**
+ * Signs a token payload with the server's session secret
+ * @param {string} encodedPayload - Base64url-encoded JSON payload
+ * @returns {string} Base64url-encoded HMAC-SHA256 signature
+ */
+function signTokenPayload(encodedPayload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Builds a signed token "<payload>.<signature>" (used for sessions and room invites)
+ * @param {Object} payload - Data to sign; must include a `typ` so one kind of token cannot stand in for another
+ * @returns {string} Signed token
+ */
+function createSignedToken(payload) {
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${signTokenPayload(encodedPayload)}`;
+}
+
+/**
+ * Checks a token's signature and expiry and returns its payload
+ * @param {string} token - Token built by createSignedToken
+ * @param {string} type - Expected token type (payload.typ)
+ * @returns {Object|null} The payload, or null if the token is forged, malformed, expired or of another type
+ */
+function readSignedToken(token, type) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+    
+    const [encodedPayload, signature] = token.split('.');
+    if (!encodedPayload || !signature) {
+        return null;
+    }
+    
+    // Compare signatures in constant time
+    const expected = Buffer.from(signTokenPayload(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    
+    if (!payload || payload.typ !== type || !(payload.exp > Date.now())) {
+        return null;
+    }
+    
+    return payload;
+}
+
+/**
+ * Starts a new session for a user and issues its token
+ * The token is "<payload>.<signature>", where the payload holds the session ID,
+ * username and expiry. The session row lets a token be revoked before it expires.
+ * @param {number} userId - Numeric user ID
+ * @param {string} username - Username the session belongs to
+ * @returns {Object} { token: string, expiresAt: number }
+ */
+async function createSession(userId, username) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    
+    await dbPool.execute(
+        'INSERT INTO sessions (id, user_id, created_at, expires_at) VALUES (?, ?, NOW(), ?)',
+        [sessionId, userId, new Date(expiresAt)]
+    );
+    
+    return {
+        token: createSignedToken({ typ: 'session', sid: sessionId, sub: username, exp: expiresAt }),
+        expiresAt
+    };
+}
+
+/**
+ * Verifies a session token: signature, expiry, and that the session was not revoked
+ * @param {string} token - Token issued by createSession
+ * @returns {Object|null} { sessionId, username, expiresAt } or null if the token is not valid
+ */
+async function verifySessionToken(token) {
+    const payload = readSignedToken(token, 'session');
+    if (!payload || !payload.sid || !payload.sub) {
+        return null;
+    }
+    
+    // A signed token is only good while its session has not been revoked
+    const [sessionRows] = await dbPool.execute(
+        'SELECT id FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+        [payload.sid]
+    );
+    if (sessionRows.length === 0) {
+        return null;
+    }
+    
+    return { sessionId: payload.sid, username: payload.sub, expiresAt: payload.exp };
+}
+
+/**
+ * Gets the socket.io channel every socket of a session joins when it connects
+ * @param {string} sessionId - Session ID
+ * @returns {string} Channel name
+ */
+function getSessionChannel(sessionId) {
+    return `session:${sessionId}`;
+}
+
+/**
+ * Disconnects every socket that authenticated with one of the given sessions
+ * @param {Array<string>} sessionIds - Revoked session IDs
+ */
+function disconnectSessions(sessionIds) {
+    for (const sessionId of sessionIds) {
+        for (const socket of getChannelSockets(getSessionChannel(sessionId))) {
+            socket.emit('sessionRevoked', { message: 'Your session has ended. Please log in again.' });
+            socket.disconnect(true);
+        }
+    }
+}
+
+/**
+ * Reads the session from a request's "Authorization: Bearer <token>" header, if it has one
+ * @param {Object} req - Express request
+ * @returns {Object|null} { sessionId, username, expiresAt } or null without a valid token
+ */
+async function getRequestSession(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+    return verifySessionToken(token);
+}
+
+/**
+ * Express middleware that requires a valid session token
+ * Reads "Authorization: Bearer <token>" and sets req.session = { sessionId, username, expiresAt }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function authenticateRequest(req, res, next) {
+    try {
+        const session = await getRequestSession(req);
+        if (!session) {
+            return res.status(401).json({
+                error: 'Valid session token required'
+            });
+        }
+        
+        req.session = session;
+        next();
+    } catch (error) {
+        console.error('Session check error:', error);
+        res.status(500).json({
+            error: 'Internal server error during authentication'
+        });
+    }
+}
+
+// ============================================================================
+// ROOM ACCESS FUNCTIONS
+// ============================================================================
+
+/**
+ * Creates an invite to a private room
+ * @param {Object} gameData - Row from the games table ({ id, room_code })
+ * @param {number} hostUserId - User ID of the host creating the invite
+ * @param {number} ttlMinutes - How long the invite stays valid
+ * @returns {Object} { inviteId: string, token: string, expiresAt: number }
+ */
+async function createRoomInvite(gameData, hostUserId, ttlMinutes) {
+    const inviteId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + ttlMinutes * 60 * 1000;
+    
+    await dbPool.execute(
+        'INSERT INTO room_invites (id, game_id, created_by, created_at, expires_at) VALUES (?, ?, ?, NOW(), ?)',
+        [inviteId, gameData.id, hostUserId, new Date(expiresAt)]
+    );
+    
+    return {
+        inviteId,
+        token: createSignedToken({ typ: 'invite', iid: inviteId, rid: gameData.room_code, exp: expiresAt }),
+        expiresAt
+    };
+}
+
+/**
+ * Checks that an invite token is genuine, unexpired, unrevoked and for this room
+ * @param {string} token - Invite token from createRoomInvite
+ * @param {Object} gameData - Row from the games table ({ id, room_code })
+ * @returns {boolean} True if the invite lets its holder into the room
+ */
+async function verifyRoomInvite(token, gameData) {
+    const payload = readSignedToken(token, 'invite');
+    if (!payload || payload.rid !== gameData.room_code) {
+        return false;
+    }
+    
+    const [inviteRows] = await dbPool.execute(
+        'SELECT id FROM room_invites WHERE id = ? AND game_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+        [payload.iid, gameData.id]
+    );
+    return inviteRows.length > 0;
+}
+
+/**
+ * Decides whether someone may enter a room (join it, or spectate its game)
+ * Public rooms are open to everyone. Private rooms need the room password or an invite.
+ * @param {Object} gameData - Row from the games table ({ id, room_code, password_hash, game_state })
+ * @param {Object} credentials - { password?: string, inviteToken?: string } sent by the client
+ * @returns {string|null} Error message, or null if access is granted
+ */
+async function checkRoomAccess(gameData, { password, inviteToken } = {}) {
+    if (!getRoomSettings(gameData.game_state).isPrivate) {
+        return null;
+    }
+    
+    if (inviteToken) {
+        return await verifyRoomInvite(inviteToken, gameData) ? null : 'Invite is invalid, expired or revoked';
+    }
+    
+    if (password) {
+        const passwordMatch = typeof password === 'string' && gameData.password_hash &&
+            await bcrypt.compare(password, gameData.password_hash);
+        return passwordMatch ? null : 'Incorrect room password';
+    }
+    
+    return 'This room is private - a password or invite is required';
+}
+
+/**
+ * Runs checkRoomAccess for an HTTP request that is not a join, taking the room password
+ * from the X-Room-Password header and an invite from the inviteToken query parameter
+ * @param {Object} req - Express request
+ * @param {Object} gameData - Room data (game_state, password_hash and room_code are used)
+ * @returns {string|null} Error message when access is denied, otherwise null
+ */
+async function checkRoomRequestAccess(req, gameData) {
+    return checkRoomAccess(gameData, {
+        password: req.get('X-Room-Password'),
+        inviteToken: req.query.inviteToken
+    });
+}
+
+/**
+ * Checks whether the host has banned a user from a room
+ * @param {Object} connection - Database connection or pool to query with
+ * @param {number} gameId - Game ID (games.id)
+ * @param {number} userId - User ID to check
+ * @returns {boolean} True if the user is banned
+ */
+async function isBannedFromRoom(connection, gameId, userId) {
+    const [banRows] = await connection.execute(
+        'SELECT user_id FROM room_bans WHERE game_id = ? AND user_id = ?',
+        [gameId, userId]
+    );
+    return banRows.length > 0;
+}
+
+/**
+ * Loads a room and checks that the logged-in user is its host (for host-only REST endpoints)
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} username - Username from the session
+ * @returns {Object} { gameData, userId } or { status, error }
+ */
+async function getRoomAsHost(roomId, username) {
+    const [gameRows] = await dbPool.execute(
+        'SELECT id, room_code, host_id, status FROM games WHERE room_code = ?',
+        [roomId]
+    );
+    if (gameRows.length === 0) {
+        return { status: 404, error: 'Room not found' };
+    }
+    
+    const userId = await getUserId(username);
+    if (!userId || gameRows[0].host_id !== userId) {
+        return { status: 403, error: 'Only the room host can manage invites' };
+    }
+    
+    return { gameData: gameRows[0], userId };
+}
+
+// ============================================================================
+// ROOM ACTION QUEUE
+// ============================================================================
+
+/**
+ * Runs a state-changing task for a room once every task queued for it before has finished
+ * Handlers read a room's state, await the database or other work, then save the new
+ * state. Running them one at a time per room means each one sees the result of the one
+ * before it, instead of both starting from the same state and one update being lost.
+ * A task must not wait for another task of the same room, or the queue stalls.
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Function} task - Async function to run
+ * @returns {Promise} Settles with the task's result
+ */
+function enqueueRoomAction(roomId, task) {
+    const previous = roomActionQueues[roomId] || Promise.resolve();
+    const run = previous.then(() => retryOnStateConflict(roomId, task));
+    
+    // A failed task must not hold up the ones behind it
+    const tail = run.catch(() => {});
+    roomActionQueues[roomId] = tail;
+    tail.then(() => {
+        if (roomActionQueues[roomId] === tail) {
+            delete roomActionQueues[roomId];
+        }
+    });
+    
+    return run;
+}
+
+/**
+ * Runs a room task again, from the start, while its save loses to another writer
+ * (see saveGameState). Tasks rethrow conflicts only before they have told anyone about
+ * the change, so running them again is safe. After MAX_STATE_WRITE_ATTEMPTS the task is
+ * given up on with a ROOM_BUSY error.
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Function} task - Async function to run
+ * @returns {Promise} Settles with the task's result
+ * @throws {Error} A ROOM_BUSY error when every attempt lost to another writer
+ */
+async function retryOnStateConflict(roomId, task) {
+    for (let attempt = 1; attempt <= MAX_STATE_WRITE_ATTEMPTS; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (!isStateConflict(error)) {
+                throw error;
+            }
+            console.warn(`Room ${roomId} was saved by another request (attempt ${attempt} of ${MAX_STATE_WRITE_ATTEMPTS})`);
+        }
+    }
+    
+    console.error(`Giving up on a change to room ${roomId}: it kept being saved by other requests`);
+    const error = new Error(`Room ${roomId} is busy`);
+    error.code = 'ROOM_BUSY';
+    throw error;
+}
+
+/**
+ * Wraps a socket event handler so it runs in the action queue of the room in its payload
+ * A payload without a roomId string is rejected before it reaches any queue. A change that
+ * could not be saved is reported to the socket as ROOM_BUSY. Every event counts as activity
+ * for the room's lobbyIdleSeconds setting.
+ * @param {Object} socket - The socket the event arrives on
+ * @param {Function} handler - Async handler taking a payload with a roomId
+ * @returns {Function} Handler to pass to socket.on
+ */
+function queuedByRoom(socket, handler) {
+    return (payload, ...args) => {
+        const roomId = payload && payload.roomId;
+        if (typeof roomId !== 'string' || !roomId) {
+            socket.emit('error', { message: 'Room ID is required' });
+            return;
+        }
+        
+        recordLobbyActivity(roomId, socket.username);
+        enqueueRoomAction(roomId, () => handler(payload, ...args)).catch(error => {
+            if (error.code === 'ROOM_BUSY') {
+                socket.emit('error', { code: 'ROOM_BUSY', message: 'The room is busy, please try again' });
+                return;
+            }
+            console.error(`Error handling an event for room ${roomId}:`, error);
+        });
+    };
+}
+
+/**
+ * Wraps an Express route handler so it runs in the action queue of the room in its URL
+ * (req.params.roomId). A request that kept conflicting with other saves gets a 409.
+ * @param {Function} handler - Async route handler
+ * @returns {Function} Route handler to pass to Express
+ */
+function queuedRoomRequest(handler) {
+    return (req, res) => enqueueRoomAction(req.params.roomId, () => handler(req, res)).catch(error => {
+        if (error.code !== 'ROOM_BUSY') {
+            console.error(`Error handling a request for room ${req.params.roomId}:`, error);
+        }
+        if (!res.headersSent) {
+            res.status(error.code === 'ROOM_BUSY' ? 409 : 500).json({
+                error: error.code === 'ROOM_BUSY' ? 'The room is busy, please try again' : 'Internal server error'
+            });
+        }
+    });
+}
+
+/**
+ * Creates the error thrown when a room's state was saved by someone else since it was read
+ * @param {string} roomId - The room ID (room_code)
+ * @returns {Error} Error with code 'STATE_CONFLICT'
+ */
+function createStateConflictError(roomId) {
+    const error = new Error(`Room ${roomId} was changed by another request`);
+    error.code = 'STATE_CONFLICT';
+    return error;
+}
+
+/**
+ * Checks whether an error is a lost race to save a room's state
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for errors from createStateConflictError
+ */
+function isStateConflict(error) {
+    return !!error && error.code === 'STATE_CONFLICT';
+}
+
+/**
+ * Saves a room's state in an open transaction, as long as nobody has saved the room
+ * since it was read (optimistic concurrency on games.state_version)
+ * On success gameData.state_version moves on, so the same transaction can save again.
+ * A running game is only ever saved from the game cache (updateGameStateInDB), so a row
+ * read as in_progress is refused here.
+ * @param {Object} connection - Database connection with an open transaction
+ * @param {Object} gameData - The games row the state was read from (id, room_code, status, state_version)
+ * @param {Object} gameState - The new game state
+ * @param {Object} columns - Other games columns to set along with it, e.g. { status: 'in_progress' }
+ * @throws {Error} A STATE_CONFLICT error when the room was saved in the meantime
+ */
+async function saveGameState(connection, gameData, gameState, columns = {}) {
+    if (gameData.status === 'in_progress') {
+        throw new Error(`Room ${gameData.room_code} has a running game; only the game cache saves it`);
+    }
+    
+    const assignments = Object.keys(columns).map(column => `${column} = ?, `).join('');
+    const [result] = await connection.execute(
+        `UPDATE games SET ${assignments}game_state = ?, state_version = state_version + 1 WHERE id = ? AND state_version = ?`,
+        [...Object.values(columns), JSON.stringify(gameState), gameData.id, gameData.state_version]
+    );
+    
+    if (result.affectedRows === 0) {
+        throw createStateConflictError(gameData.room_code);
+    }
+    
+    gameData.state_version++;
+}
+
 // ============================================================================
 // HTTP API ENDPOINTS
 // ============================================================================
@@ -182,6 +792,13 @@ app.post('/api/auth/register', async (req, res) => {
                 error: 'All fields must be non-empty strings'
             });
         }
+        
+        // Bot player IDs use a reserved prefix so a bot can never be mistaken for a user
+        if (BotPlayer.isBotId(username.trim())) {
+            return res.status(400).json({
+                error: 'Usernames may not start with "bot-"'
+            });
+        }
 
         // Hash the password
         const saltRounds = 10;
@@ -225,9 +842,9 @@ app.post('/api/auth/register', async (req, res) => {
 
 /**
  * POST /api/auth/login
- * Authenticates a user and returns their profile data
+ * Authenticates a user and returns their profile data and a session token
  * Body: { username: string, password: string }
- * Returns: { success: boolean, user: object } or { error: string }
+ * Returns: { success: boolean, user: object, token: string, expiresAt: number } or { error: string }
  */
 app.post('/api/auth/login', async (req, res) => {
     try {
@@ -285,11 +902,16 @@ app.post('/api/auth/login', async (req, res) => {
             registered_at: user.registered_at
         };
         
+        // Issue the session token used for the socket handshake and protected endpoints
+        const session = await createSession(user.id, user.username);
+        
         console.log(`User logged in: ${username}`);
         
         res.status(200).json({
             success: true,
-            user: userData
+            user: userData,
+            token: session.token,
+            expiresAt: session.expiresAt
         });
         
     } catch (error) {
@@ -301,27 +923,95 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 /**
- * POST /api/auth/update-avatar
- * Updates a user's avatar
- * Body: { username: string, avatar: string }
- * Returns: { success: boolean, user: object } or { error: string }
+ * POST /api/auth/logout
+ * Ends the session whose token is sent, and disconnects its sockets
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success: boolean }
  */
-app.post('/api/auth/update-avatar', async (req, res) => {
+app.post('/api/auth/logout', authenticateRequest, async (req, res) => {
     try {
-        const { username, avatar } = req.body;
+        await dbPool.execute(
+            'UPDATE sessions SET revoked_at = NOW() WHERE id = ?',
+            [req.session.sessionId]
+        );
         
-        // Validate required fields
-        if (!username || !avatar) {
-            return res.status(400).json({
-                error: 'Username and avatar are required'
-            });
-        }
+        disconnectSessions([req.session.sessionId]);
         
-        // Check if fields are not empty strings
-        if (typeof username !== 'string' || username.trim() === '' ||
-            typeof avatar !== 'string' || avatar.trim() === '') {
+        console.log(`User logged out: ${req.session.username}`);
+        
+        res.json({
+            success: true
+        });
+        
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            error: 'Internal server error during logout'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/revoke
+ * Ends every session of the authenticated user (e.g. "log out everywhere"),
+ * and disconnects all of their sockets
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success: boolean, revokedSessions: number }
+ */
+app.post('/api/auth/revoke', authenticateRequest, async (req, res) => {
+    try {
+        const userId = await getUserId(req.session.username);
+        if (!userId) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+        
+        const [sessionRows] = await dbPool.execute(
+            'SELECT id FROM sessions WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+        const sessionIds = sessionRows.map(row => row.id);
+        
+        await dbPool.execute(
+            'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+        
+        disconnectSessions(sessionIds);
+        
+        console.log(`All sessions revoked for user: ${req.session.username}`);
+        
+        res.json({
+            success: true,
+            revokedSessions: sessionIds.length
+        });
+        
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({
+            error: 'Internal server error during session revoke'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/update-avatar
+ * Updates the logged-in user's avatar
+ * Headers: Authorization: Bearer <token>
+ * Body: { avatar: string }
+ * Returns: { success: boolean, user: object } or { error: string }
+ */
+app.post('/api/auth/update-avatar', authenticateRequest, async (req, res) => {
+    try {
+        // Users can only change their own avatar
+        const username = req.session.username;
+        const { avatar } = req.body;
+        
+        // Validate required field
+        if (!avatar || typeof avatar !== 'string' || avatar.trim() === '') {
             return res.status(400).json({
-                error: 'Username and avatar must be non-empty strings'
+                error: 'Avatar must be a non-empty string'
             });
         }
         
@@ -332,7 +1022,7 @@ app.post('/api/auth/update-avatar', async (req, res) => {
             WHERE username = ?
         `;
         
-        const [result] = await dbPool.execute(updateQuery, [avatar.trim(), username.trim()]);
+        const [result] = await dbPool.execute(updateQuery, [avatar.trim(), username]);
         
         if (result.affectedRows === 0) {
             return res.status(404).json({
@@ -347,7 +1037,7 @@ app.post('/api/auth/update-avatar', async (req, res) => {
             WHERE username = ?
         `;
         
-        const [rows] = await dbPool.execute(selectQuery, [username.trim()]);
+        const [rows] = await dbPool.execute(selectQuery, [username]);
         const user = rows[0];
         
         // Return updated user data
@@ -382,21 +1072,17 @@ app.post('/api/auth/update-avatar', async (req, res) => {
 
 /**
  * POST /api/rooms/create
- * Creates a new game room with the requesting player as host
- * Body: { playerId: string, maxPlayers: number }
+ * Creates a new game room with the logged-in user as host
+ * Headers: Authorization: Bearer <token>
+ * Body: { maxPlayers: number, rules?: object, settings?: object, password?: string }
  * Returns: { roomId: string }
  */
-app.post('/api/rooms/create', async (req, res) => {
+app.post('/api/rooms/create', authenticateRequest, async (req, res) => {
     let connection;
     try {
-        const { playerId, maxPlayers } = req.body;
-        
-        // Validate request body
-        if (!playerId || typeof playerId !== 'string' || playerId.trim() === '') {
-            return res.status(400).json({
-                error: 'Invalid or missing playerId'
-            });
-        }
+        // Rooms are always created by the user the session belongs to
+        const playerId = req.session.username;
+        const { maxPlayers, rules, settings, password } = req.body;
         
         // Validate maxPlayers parameter
         const playerLimit = maxPlayers || 4; // Default to 4 if not specified
@@ -406,6 +1092,37 @@ app.post('/api/rooms/create', async (req, res) => {
             });
         }
         
+        // Validate house rules (missing rules means official rules)
+        const gameRules = GameEngine.createRules(rules || {});
+        if (gameRules.error) {
+            return res.status(400).json({
+                error: gameRules.error
+            });
+        }
+        
+        // Validate room settings (missing settings means defaults)
+        const roomSettings = createRoomSettings(settings || {});
+        if (roomSettings.error) {
+            return res.status(400).json({
+                error: roomSettings.error
+            });
+        }
+        
+        // Only private rooms have a password (public rooms are open to everyone)
+        if (password !== undefined) {
+            if (!roomSettings.isPrivate) {
+                return res.status(400).json({
+                    error: 'A password can only be set on a private room'
+                });
+            }
+            if (typeof password !== 'string' || password.length < 4 || password.length > 100) {
+                return res.status(400).json({
+                    error: 'Room password must be a string of 4 to 100 characters'
+                });
+            }
+        }
+        const passwordHash = password !== undefined ? await bcrypt.hash(password, 10) : null;
+        
         // Start database transaction
         connection = await dbPool.getConnection();
         await connection.beginTransaction();
@@ -413,7 +1130,7 @@ app.post('/api/rooms/create', async (req, res) => {
         // Fetch user ID from database
         const [userRows] = await connection.execute(
             'SELECT id, username, full_name, avatar_url FROM users WHERE username = ?',
-            [playerId.trim()]
+            [playerId]
         );
         
         if (userRows.length === 0) {
@@ -453,22 +1170,24 @@ app.post('/api/rooms/create', async (req, res) => {
         // Create initial game state for waiting room
         const initialGameState = {
             status: 'waiting',
-            host: playerId.trim(),
+            host: playerId,
             players: [{
-                id: playerId.trim(),
+                id: playerId,
                 name: userData.full_name,
                 avatar: userData.avatar_url,
                 hand: []
             }],
             maxPlayers: playerLimit,
+            rules: gameRules,
+            settings: roomSettings,
             createdAt: new Date().toISOString()
         };
         
         // Insert into games table
         const [gameResult] = await connection.execute(
-            `INSERT INTO games (room_code, host_id, status, game_state, created_at) 
-             VALUES (?, ?, ?, ?, NOW())`,
-            [roomCode, hostUserId, 'waiting', JSON.stringify(initialGameState)]
+            `INSERT INTO games (room_code, host_id, status, game_state, password_hash, created_at) 
+             VALUES (?, ?, ?, ?, ?, NOW())`,
+            [roomCode, hostUserId, 'waiting', JSON.stringify(initialGameState), passwordHash]
         );
         
         const newGameId = gameResult.insertId;
@@ -481,6 +1200,7 @@ app.post('/api/rooms/create', async (req, res) => {
         
         // Commit transaction
         await connection.commit();
+        recordLobbyActivity(roomCode, playerId);
         
         console.log(`New room created: ${roomCode} by player: ${playerId}`);
         
@@ -506,22 +1226,20 @@ app.post('/api/rooms/create', async (req, res) => {
 /**
  * POST /api/rooms/:roomId/join
  * Adds a player to an existing room
+ * Private rooms also need the room password or an invite token.
  * Params: roomId (string) - the room_code
- * Body: { playerId: string }
+ * Headers: Authorization: Bearer <token>
+ * Body: { password?: string, inviteToken?: string }
  * Returns: { success: boolean, message: string, gameStarted: boolean }
  */
-app.post('/api/rooms/:roomId/join', async (req, res) => {
+app.post('/api/rooms/:roomId/join', authenticateRequest, queuedRoomRequest(async (req, res) => {
     let connection;
     try {
         const { roomId } = req.params; // This is the room_code
-        const { playerId } = req.body;
+        const { password, inviteToken } = req.body;
         
-        // Validate request body
-        if (!playerId || typeof playerId !== 'string' || playerId.trim() === '') {
-            return res.status(400).json({
-                error: 'Invalid or missing playerId'
-            });
-        }
+        // Players always join as the user their session belongs to
+        const playerId = req.session.username;
         
         // Start database transaction
         connection = await dbPool.getConnection();
@@ -529,7 +1247,7 @@ app.post('/api/rooms/:roomId/join', async (req, res) => {
         
         // Fetch game data
         const [gameRows] = await connection.execute(
-            'SELECT id, room_code, host_id, status, game_state FROM games WHERE room_code = ?',
+            'SELECT id, room_code, host_id, status, state_version, game_state, password_hash FROM games WHERE room_code = ?',
             [roomId]
         );
         
@@ -551,10 +1269,27 @@ app.post('/api/rooms/:roomId/join', async (req, res) => {
             });
         }
         
+        // A running game is saved from the game cache only; seated players come back through joinRoom
+        if (gameData.status === 'in_progress') {
+            await connection.rollback();
+            return res.status(400).json({
+                error: 'Game is already in progress'
+            });
+        }
+        
+        // Private rooms need the room password or an invite
+        const accessError = await checkRoomAccess(gameData, { password, inviteToken });
+        if (accessError) {
+            await connection.rollback();
+            return res.status(403).json({
+                error: accessError
+            });
+        }
+        
         // Fetch joining player's data
         const [userRows] = await connection.execute(
             'SELECT id, username, full_name, avatar_url FROM users WHERE username = ?',
-            [playerId.trim()]
+            [playerId]
         );
         
         if (userRows.length === 0) {
@@ -567,6 +1302,14 @@ app.post('/api/rooms/:roomId/join', async (req, res) => {
         const userData = userRows[0];
         const joiningUserId = userData.id;
         
+        // Players banned by the host stay out for the life of the room
+        if (await isBannedFromRoom(connection, gameData.id, joiningUserId)) {
+            await connection.rollback();
+            return res.status(403).json({
+                error: 'You are banned from this room'
+            });
+        }
+        
         // Check if player is already in the game (check both database and game state)
         const [participantRows] = await connection.execute(
             'SELECT user_id FROM game_participants WHERE game_id = ? AND user_id = ?',
@@ -574,16 +1317,13 @@ app.post('/api/rooms/:roomId/join', async (req, res) => {
         );
         
         const isInDatabase = participantRows.length > 0;
-        const isInGameState = gameState.players.some(player => player.id === playerId.trim());
+        const isInGameState = gameState.players.some(player => player.id === playerId);
         
         // If player is in game state but not in database, clean up the game state
         if (isInGameState && !isInDatabase) {
             console.log(`Cleaning up orphaned player ${playerId} from game state`);
-            gameState.players = gameState.players.filter(player => player.id !== playerId.trim());
-            await connection.execute(
-                'UPDATE games SET game_state = ? WHERE id = ?',
-                [JSON.stringify(gameState), gameData.id]
-            );
+            gameState.players = gameState.players.filter(player => player.id !== playerId);
+            await saveGameState(connection, gameData, gameState);
         }
         
         // If player is in database but not in game state, clean up the database
@@ -630,20 +1370,18 @@ app.post('/api/rooms/:roomId/join', async (req, res) => {
         
         // Update game state to include new player
         gameState.players.push({
-            id: playerId.trim(),
+            id: playerId,
             name: userData.full_name,
             avatar: userData.avatar_url,
             hand: []
         });
         
         // Update game state in database
-        await connection.execute(
-            'UPDATE games SET game_state = ? WHERE id = ?',
-            [JSON.stringify(gameState), gameData.id]
-        );
+        await saveGameState(connection, gameData, gameState);
         
         // Commit transaction
         await connection.commit();
+        recordLobbyActivity(roomId, playerId);
         
         // Broadcast updated room state to all connected clients in the room
         io.to(roomId).emit('gameUpdate', getRoomStateForClient(gameState, roomId));
@@ -661,6 +1399,9 @@ app.post('/api/rooms/:roomId/join', async (req, res) => {
         if (connection) {
             await connection.rollback();
         }
+        if (isStateConflict(error)) {
+            throw error; // Retried by the room's action queue
+        }
         console.error('Error joining room:', error);
         res.status(500).json({
             error: 'Failed to join room'
@@ -670,28 +1411,167 @@ app.post('/api/rooms/:roomId/join', async (req, res) => {
             connection.release();
         }
     }
+}));
+
+/**
+ * POST /api/rooms/:roomId/invites
+ * Creates an invite to the room (host only). Anyone holding the token can join until it
+ * expires or is revoked, even in a private room.
+ * Headers: Authorization: Bearer <token>
+ * Params: roomId (string) - the room_code
+ * Body: { expiresInMinutes?: number }
+ * Returns: { inviteId: string, token: string, expiresAt: number }
+ */
+app.post('/api/rooms/:roomId/invites', authenticateRequest, async (req, res) => {
+    try {
+        const { roomId } = req.params; // This is the room_code
+        const { expiresInMinutes } = req.body;
+        
+        // Validate invite lifetime
+        const ttlMinutes = expiresInMinutes === undefined ? DEFAULT_INVITE_TTL_MINUTES : expiresInMinutes;
+        if (!Number.isInteger(ttlMinutes) || ttlMinutes < 1 || ttlMinutes > MAX_INVITE_TTL_MINUTES) {
+            return res.status(400).json({
+                error: `expiresInMinutes must be a whole number between 1 and ${MAX_INVITE_TTL_MINUTES}`
+            });
+        }
+        
+        const room = await getRoomAsHost(roomId, req.session.username);
+        if (room.error) {
+            return res.status(room.status).json({
+                error: room.error
+            });
+        }
+        
+        if (room.gameData.status === 'completed') {
+            return res.status(400).json({
+                error: 'Game is already completed'
+            });
+        }
+        
+        const invite = await createRoomInvite(room.gameData, room.userId, ttlMinutes);
+        
+        console.log(`Invite ${invite.inviteId} created for room ${roomId} by ${req.session.username}`);
+        
+        res.status(201).json(invite);
+        
+    } catch (error) {
+        console.error('Error creating invite:', error);
+        res.status(500).json({
+            error: 'Failed to create invite'
+        });
+    }
+});
+
+/**
+ * DELETE /api/rooms/:roomId/invites/:inviteId
+ * Revokes an invite (host only); its token stops working at once
+ * Headers: Authorization: Bearer <token>
+ * Params: roomId (string) - the room_code, inviteId (string)
+ * Returns: { success: boolean }
+ */
+app.delete('/api/rooms/:roomId/invites/:inviteId', authenticateRequest, async (req, res) => {
+    try {
+        const { roomId, inviteId } = req.params; // roomId is room_code
+        
+        const room = await getRoomAsHost(roomId, req.session.username);
+        if (room.error) {
+            return res.status(room.status).json({
+                error: room.error
+            });
+        }
+        
+        const [result] = await dbPool.execute(
+            'UPDATE room_invites SET revoked_at = NOW() WHERE id = ? AND game_id = ? AND revoked_at IS NULL',
+            [inviteId, room.gameData.id]
+        );
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Invite not found'
+            });
+        }
+        
+        console.log(`Invite ${inviteId} for room ${roomId} revoked by ${req.session.username}`);
+        
+        res.json({
+            success: true
+        });
+        
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        res.status(500).json({
+            error: 'Failed to revoke invite'
+        });
+    }
 });
 
 /**
  * GET /api/rooms/:roomId
  * Returns the current state of a specific game room with enriched player data
+ * Players still seated in a running game get the live state; everyone else gets the
+ * view released to spectators (spectatorDelaySeconds), or 403 without allowSpectators.
+ * Private rooms are only shown to their players and to callers with the password or an invite.
+ * Headers: Authorization: Bearer <token> (optional, identifies seated players),
+ *          X-Room-Password (optional)
  * Params: roomId (string) - the room_code
+ * Query: inviteToken (optional)
  * Returns: Room state object with player info, game status, etc.
  */
 app.get('/api/rooms/:roomId', async (req, res) => {
     try {
         const { roomId } = req.params; // This is the room_code
+        const session = await getRequestSession(req);
         
         // First check if game is in cache (for active games)
         if (activeGames[roomId]) {
-            const roomState = getRoomStateForClient(activeGames[roomId], roomId);
-            res.json(roomState);
+            const gameState = activeGames[roomId];
+            const isSeated = !!session && gameState.players.some(
+                player => player.id === session.username && player.isActive !== false
+            );
+            if (isSeated) {
+                res.json(getRoomStateForClient(gameState, roomId));
+                return;
+            }
+            
+            // Private rooms need the room password or an invite to watch
+            const [gameRows] = await dbPool.execute(
+                'SELECT id, room_code, password_hash FROM games WHERE room_code = ?',
+                [roomId]
+            );
+            if (gameRows.length === 0) {
+                return res.status(404).json({
+                    error: 'Room not found'
+                });
+            }
+            const accessError = await checkRoomRequestAccess(req, { ...gameRows[0], game_state: gameState });
+            if (accessError) {
+                return res.status(403).json({
+                    error: accessError
+                });
+            }
+            
+            if (!getRoomSettings(gameState).allowSpectators) {
+                return res.status(403).json({
+                    error: 'This room does not allow spectators'
+                });
+            }
+            
+            // Never the live state: only what spectators have already been shown
+            if (!spectatorFeeds[roomId]) {
+                broadcastToSpectators(roomId, gameState);
+            }
+            if (!spectatorFeeds[roomId]) {
+                return res.status(503).json({
+                    error: 'The spectator view is not available yet, try again shortly'
+                });
+            }
+            res.json(spectatorFeeds[roomId]);
             return;
         }
         
         // If not in cache, fetch from database
         const [gameRows] = await dbPool.execute(
-            'SELECT room_code, status, game_state FROM games WHERE room_code = ?',
+            'SELECT id, room_code, status, game_state, password_hash FROM games WHERE room_code = ?',
             [roomId]
         );
         
@@ -704,6 +1584,15 @@ app.get('/api/rooms/:roomId', async (req, res) => {
         const gameData = gameRows[0];
         const gameState = gameData.game_state; // MySQL automatically parses JSON columns
         
+        // Private lobbies are only shown to their players and invitees
+        const isSeated = !!session && gameState.players.some(player => player.id === session.username);
+        const accessError = isSeated ? null : await checkRoomRequestAccess(req, gameData);
+        if (accessError) {
+            return res.status(403).json({
+                error: accessError
+            });
+        }
+        
         // Use the enriched function to format for client
         const roomState = getRoomStateForClient(gameState, roomId);
         res.json(roomState);
@@ -724,14 +1613,17 @@ app.get('/api/rooms/:roomId', async (req, res) => {
  */
 app.get('/api/rooms', async (req, res) => {
     try {
-        // Get rooms from cache (active games)
-        const cachedRooms = Object.entries(activeGames).map(([roomId, gameState]) => ({
-            roomId: roomId,
-            status: 'in_progress',
-            playerCount: gameState.players ? gameState.players.length : 0,
-            currentPlayer: gameState.players ? gameState.players[gameState.currentPlayerIndex]?.id : null,
-            isGameOver: gameState.isGameOver || false
-        }));
+        // Get rooms from cache (active games); private rooms are never listed
+        const cachedRooms = Object.entries(activeGames)
+            .filter(([roomId, gameState]) => !getRoomSettings(gameState).isPrivate)
+            .map(([roomId, gameState]) => ({
+                roomId: roomId,
+                roomName: getRoomSettings(gameState).roomName,
+                status: 'in_progress',
+                playerCount: gameState.players ? gameState.players.length : 0,
+                currentPlayer: gameState.players ? gameState.players[gameState.currentPlayerIndex]?.id : null,
+                isGameOver: gameState.isGameOver || false
+            }));
         
         // Fetch waiting/lobby games from database
         const [gameRows] = await dbPool.execute(
@@ -739,18 +1631,21 @@ app.get('/api/rooms', async (req, res) => {
             ['waiting', 'completed']
         );
         
-        const dbRooms = gameRows.map(gameData => {
-            const gameState = gameData.game_state; // MySQL automatically parses JSON columns
-            return {
-                roomId: gameData.room_code,
-                status: gameData.status,
-                playerCount: gameState.players ? gameState.players.length : 0,
-                maxPlayers: gameState.maxPlayers || 4,
-                host: gameState.host,
-                currentPlayer: null,
-                isGameOver: gameData.status === 'completed'
-            };
-        });
+        const dbRooms = gameRows
+            .filter(gameData => !getRoomSettings(gameData.game_state).isPrivate)
+            .map(gameData => {
+                const gameState = gameData.game_state; // MySQL automatically parses JSON columns
+                return {
+                    roomId: gameData.room_code,
+                    roomName: getRoomSettings(gameState).roomName,
+                    status: gameData.status,
+                    playerCount: gameState.players ? gameState.players.length : 0,
+                    maxPlayers: gameState.maxPlayers || 4,
+                    host: gameState.host,
+                    currentPlayer: null,
+                    isGameOver: gameData.status === 'completed'
+                };
+            });
         
         // Combine cached and database rooms
         const allRooms = [...cachedRooms, ...dbRooms];
@@ -770,14 +1665,23 @@ app.get('/api/rooms', async (req, res) => {
 
 /**
  * GET /api/rooms/:roomId/hand/:playerId
- * Returns a specific player's hand in a game room
- * Params: roomId (string) - room_code, playerId (string)
- * Returns: { playerId: string, hand: Array<Card> }
+ * Returns the logged-in player's own hand in a game room
+ * Clients normally get their hand from the private handUpdate socket event; this is for reloads.
+ * Headers: Authorization: Bearer <token>
+ * Params: roomId (string) - room_code, playerId (string) - must be the logged-in user
+ * Returns: { playerId: string, hand: Array<Card>, drawnCard: Card|null }
  */
-app.get('/api/rooms/:roomId/hand/:playerId', async (req, res) => {
+app.get('/api/rooms/:roomId/hand/:playerId', authenticateRequest, async (req, res) => {
     try {
         const { roomId, playerId } = req.params; // roomId is room_code
         
+        // Players may only read their own cards
+        if (playerId !== req.session.username) {
+            return res.status(403).json({
+                error: 'You can only view your own hand'
+            });
+        }
+        
         // First check if game is in cache (for active games)
         if (activeGames[roomId]) {
             const gameState = activeGames[roomId];
@@ -790,10 +1694,7 @@ app.get('/api/rooms/:roomId/hand/:playerId', async (req, res) => {
                 });
             }
             
-            res.json({
-                playerId: playerId,
-                hand: player.hand
-            });
+            res.json(getHandUpdate(gameState, playerId));
             return;
         }
         
@@ -827,10 +1728,7 @@ app.get('/api/rooms/:roomId/hand/:playerId', async (req, res) => {
             });
         }
         
-        res.json({
-            playerId: playerId,
-            hand: player.hand || []
-        });
+        res.json(getHandUpdate(gameState, playerId));
         
     } catch (error) {
         console.error('Error getting player hand:', error);
@@ -840,27 +1738,88 @@ app.get('/api/rooms/:roomId/hand/:playerId', async (req, res) => {
     }
 });
 
+// ============================================================================
+// PROVABLY FAIR SHUFFLE ENDPOINTS
+// ============================================================================
+
+/**
+ * POST /api/fairness/verify
+ * Recomputes a deal from a revealed seed and checks it against the published commitment
+ * Uses the game engine's own createDeck/shuffleDeck, so anyone can run the same check
+ * Body: { seed: string, commitment: string }
+ * Returns: { valid: boolean, commitment: string, deckOrder: Array<Card> }
+ */
+app.post('/api/fairness/verify', (req, res) => {
+    try {
+        const { seed, commitment } = req.body;
+        
+        // Validate request body
+        if (!seed || typeof seed !== 'string' || !commitment || typeof commitment !== 'string') {
+            return res.status(400).json({
+                error: 'seed and commitment are required strings'
+            });
+        }
+        
+        res.json(GameEngine.verifyShuffle(seed, commitment));
+        
+    } catch (error) {
+        console.error('Error verifying shuffle:', error);
+        res.status(500).json({
+            error: 'Failed to verify shuffle'
+        });
+    }
+});
+
 // ============================================================================
 // WEBSOCKET EVENT HANDLERS
 // ============================================================================
 
+/**
+ * Socket.IO handshake middleware: only clients with a valid session token may connect
+ * Clients pass the token from login as io(url, { auth: { token } }). Every handler acts
+ * as socket.username, never as a player ID sent by the client.
+ */
+io.use(async (socket, next) => {
+    try {
+        const session = await verifySessionToken(socket.handshake.auth && socket.handshake.auth.token);
+        if (!session) {
+            return next(new Error('Authentication required'));
+        }
+        
+        socket.username = session.username;
+        socket.sessionId = session.sessionId;
+        next();
+    } catch (error) {
+        console.error('Socket authentication error:', error);
+        next(new Error('Authentication failed'));
+    }
+});
+
 /**
  * Main WebSocket connection handler
  * Manages real-time communication between server and clients for gameplay
  * 
  * Events handled:
  * - joinRoom: Player joins a game room
+ * - spectateRoom: User watches a running game without playing
  * - startGame: Host starts the game
  * - playCard: Player plays a card
  * - drawCard: Player draws a card
+ * - challengeDrawFour: Player challenges a Wild Draw Four
  * - disconnect: Player disconnects
  */
 io.on('connection', (socket) => {
-    console.log(`Socket connected: ${socket.id}`);
+    console.log(`Socket connected: ${socket.id} (${socket.username})`);
+    
+    // Lets disconnectSessions find the socket when its session is revoked
+    socket.join(getSessionChannel(socket.sessionId));
     
     // Join a specific room
-    socket.on('joinRoom', async ({ roomId, playerId }) => {
+    socket.on('joinRoom', queuedByRoom(socket, async ({ roomId }) => {
         try {
+            // Players always join as the user their session belongs to
+            const playerId = socket.username;
+            
             // First check if game is in cache (for active games)
             if (activeGames[roomId]) {
                 const gameState = activeGames[roomId];
@@ -879,9 +1838,46 @@ io.on('connection', (socket) => {
                 
                 console.log(`Player ${playerId} joined socket room ${roomId} (from cache)`);
                 
+                // The player is back, so a pending grace period must never end their game
+                clearReconnectTimer(roomId, playerId);
+                
+                // Take the seat back: it was held for the reconnect grace period,
+                // or a bot played it while the player was away (botTakeover setting)
+                if (playerInRoom.reconnectDeadline || playerInRoom.botControlled) {
+                    let resumedState = {
+                        ...gameState,
+                        players: gameState.players.map(p => p.id === playerId ?
+                            { ...p, botControlled: false, reconnectDeadline: null } :
+                            p)
+                    };
+                    resumedState = { ...resumedState, ...getHeldSeatClock(resumedState) };
+                    activeGames[roomId] = resumedState;
+                    console.log(`Player ${playerId} ${playerInRoom.botControlled ? 'took their seat back from the bot' : 'reconnected'} in room ${roomId}`);
+                    
+                    io.to(roomId).emit('gameUpdate', getRoomStateForClient(resumedState, roomId));
+                    sendPrivateUpdates(roomId, resumedState);
+                    broadcastToSpectators(roomId, resumedState);
+                    socket.to(roomId).emit('playerConnected', {
+                        playerId,
+                        reconnected: !!playerInRoom.reconnectDeadline,
+                        botTakeoverEnded: !!playerInRoom.botControlled
+                    });
+                    
+                    updateGameStateInDB(roomId, resumedState).catch(error => {
+                        console.error('Error updating database:', error);
+                    });
+                    
+                    // Drop any move the bot had planned for this seat
+                    scheduleBotAction(roomId);
+                    scheduleTurnTimer(roomId);
+                    return;
+                }
+                
                 // Send current room state to the joining player
                 const roomState = getRoomStateForClient(gameState, roomId);
                 socket.emit('gameUpdate', roomState);
+                socket.emit('handUpdate', getHandUpdate(gameState, playerId));
+                socket.emit('legalMoves', getLegalMovesUpdate(gameState, playerId));
                 
                 // Notify other players in the room
                 socket.to(roomId).emit('playerConnected', { playerId });
@@ -927,19 +1923,21 @@ io.on('connection', (socket) => {
             console.error('Error in joinRoom:', error);
             socket.emit('error', { message: 'Failed to join room' });
         }
-    });
+    }));
     
     // Update player avatar in lobby
-    socket.on('updatePlayerAvatar', async ({ roomId, playerId, avatar }) => {
+    socket.on('updatePlayerAvatar', queuedByRoom(socket, async ({ roomId, avatar }) => {
         let connection;
         try {
+            const playerId = socket.username;
+            
             // Start database transaction
             connection = await dbPool.getConnection();
             await connection.beginTransaction();
             
             // Fetch game from database
             const [gameRows] = await connection.execute(
-                'SELECT id, room_code, status, game_state FROM games WHERE room_code = ?',
+                'SELECT id, room_code, status, state_version, game_state FROM games WHERE room_code = ?',
                 [roomId]
             );
             
@@ -952,6 +1950,13 @@ io.on('connection', (socket) => {
             const gameData = gameRows[0];
             const gameState = gameData.game_state; // MySQL automatically parses JSON columns
             
+            // A running game is saved from the game cache only
+            if (gameData.status === 'in_progress') {
+                await connection.rollback();
+                socket.emit('error', { message: 'Avatars cannot be changed while a game is running' });
+                return;
+            }
+            
             // Validate player is in the room
             const playerInRoom = gameState.players.find(player => player.id === playerId);
             if (!playerInRoom) {
@@ -964,10 +1969,7 @@ io.on('connection', (socket) => {
             playerInRoom.avatar = avatar;
             
             // Update game state in database
-            await connection.execute(
-                'UPDATE games SET game_state = ? WHERE id = ?',
-                [JSON.stringify(gameState), gameData.id]
-            );
+            await saveGameState(connection, gameData, gameState);
             
             // Commit transaction
             await connection.commit();
@@ -982,6 +1984,9 @@ io.on('connection', (socket) => {
             if (connection) {
                 await connection.rollback();
             }
+            if (isStateConflict(error)) {
+                throw error; // Retried by the room's action queue
+            }
             console.error('Error in updatePlayerAvatar:', error);
             socket.emit('error', { message: 'Failed to update avatar' });
         } finally {
@@ -989,26 +1994,19 @@ io.on('connection', (socket) => {
                 connection.release();
             }
         }
-    });
-      // Start the game (only host can do this)
-    socket.on('startGame', async ({ roomId }) => {
+    }));
+    
+    // Add a bot player to the lobby (only the host can do this)
+    socket.on('addBot', queuedByRoom(socket, async ({ roomId, level }) => {
         let connection;
         try {
-            console.log(`StartGame event received for room ${roomId} from socket ${socket.id}`);
-            
-            // Validate input
-            if (!roomId) {
-                socket.emit('error', { message: 'Room ID is required' });
-                return;
-            }
-            
             // Start database transaction
             connection = await dbPool.getConnection();
             await connection.beginTransaction();
             
-            // Fetch game data from database
+            // Fetch game from database
             const [gameRows] = await connection.execute(
-                'SELECT id, room_code, status, game_state FROM games WHERE room_code = ?',
+                'SELECT id, room_code, status, state_version, game_state FROM games WHERE room_code = ?',
                 [roomId]
             );
             
@@ -1019,384 +2017,600 @@ io.on('connection', (socket) => {
             }
             
             const gameData = gameRows[0];
-            const lobbyState = gameData.game_state; // This contains the lobby/waiting room state
+            const gameState = gameData.game_state; // MySQL automatically parses JSON columns
             
-            // Validate that socket player is in the room
-            if (!socket.playerId) {
+            // Check if player is the host
+            if (!socket.playerId || gameState.host !== socket.playerId) {
                 await connection.rollback();
-                socket.emit('error', { message: 'Player not identified' });
+                socket.emit('error', { message: 'Only the host can add bots' });
                 return;
             }
             
-            // Check if player is the host
-            if (lobbyState.host !== socket.playerId) {
+            if (gameData.status !== 'waiting') {
                 await connection.rollback();
-                socket.emit('error', { message: 'Only the host can start the game' });
+                socket.emit('error', { message: 'Bots can only be added in the lobby' });
                 return;
             }
             
-            // Validate number of participants in database
-            const [participantCountRows] = await connection.execute(
-                'SELECT COUNT(*) as count FROM game_participants WHERE game_id = ?',
-                [gameData.id]
-            );
-            
-            const participantCount = participantCountRows[0].count;
-            if (participantCount < 2) {
+            if (gameState.players.length >= gameState.maxPlayers) {
                 await connection.rollback();
-                socket.emit('error', { message: 'Need at least 2 players to start the game' });
+                socket.emit('error', { message: `Room is full (maximum ${gameState.maxPlayers} players)` });
                 return;
             }
             
-            // Check if game has already started
-            if (gameData.status !== 'waiting') {
+            const bot = BotPlayer.createBotPlayer(level || 'medium', gameState.players);
+            if (bot.error) {
                 await connection.rollback();
-                socket.emit('error', { message: 'Game has already started or completed' });
+                socket.emit('error', { message: bot.error });
                 return;
             }
             
-            // Extract player IDs from the lobby state
-            const playerIds = lobbyState.players.map(player => player.id);
-            console.log(`Starting game with players: ${playerIds.join(', ')}`);
+            // Bots only live in the game state; they have no user account or participant row
+            gameState.players.push(bot);
             
-            // Call GameEngine to create the official game state
-            const gameState = GameEngine.createGameState(playerIds);
-            
-            // Store the complete game state in the cache for fast access
-            activeGames[roomId] = gameState;
-            
-            // Update the database with the new game state and status
-            await connection.execute(
-                'UPDATE games SET status = ?, game_state = ? WHERE id = ?',
-                ['in_progress', JSON.stringify(gameState), gameData.id]
-            );
+            // Update game state in database
+            await saveGameState(connection, gameData, gameState);
             
             // Commit transaction
             await connection.commit();
             
-            console.log(`Game officially started in room ${roomId} with ${playerIds.length} players`);
-            console.log(`Current player: ${gameState.players[gameState.currentPlayerIndex].id}`);
-            
-            // Broadcast gameUpdate to all clients in the room
-            const roomStateForClients = getRoomStateForClient(gameState, roomId);
-            io.to(roomId).emit('gameUpdate', roomStateForClients);
-            
-            // Also send a specific gameStarted event
-            io.to(roomId).emit('gameStarted', { 
-                message: 'Game has started! Cards have been dealt.',
-                currentPlayer: gameState.players[gameState.currentPlayerIndex].id,
-                topCard: gameState.discardPile[gameState.discardPile.length - 1]
-            });
+            console.log(`Host ${socket.playerId} added ${bot.botLevel} bot ${bot.id} to room ${roomId}`);
             
-            console.log(`Game update broadcasted to all clients in room ${roomId}`);
+            // Send updated room state to all players in the room
+            const roomState = getRoomStateForClient(gameState, roomId);
+            io.to(roomId).emit('gameUpdate', roomState);
             
         } catch (error) {
             if (connection) {
                 await connection.rollback();
             }
-            console.error('Error starting game:', error);
-            socket.emit('error', { message: 'Failed to start game: ' + error.message });
+            if (isStateConflict(error)) {
+                throw error; // Retried by the room's action queue
+            }
+            console.error('Error in addBot:', error);
+            socket.emit('error', { message: 'Failed to add bot' });
         } finally {
             if (connection) {
                 connection.release();
             }
         }
-    });
+    }));
     
-    // Handle card play
-    socket.on('playCard', async ({ roomId, playerId, card, chosenColor }) => {
+    // Remove a bot player from the lobby (only the host can do this)
+    socket.on('removeBot', queuedByRoom(socket, async ({ roomId, botId }) => {
+        let connection;
         try {
-            // Get current game state from cache
-            const gameState = activeGames[roomId];
+            // Start database transaction
+            connection = await dbPool.getConnection();
+            await connection.beginTransaction();
             
-            if (!gameState) {
-                socket.emit('error', { message: 'Game not found in cache' });
+            // Fetch game from database
+            const [gameRows] = await connection.execute(
+                'SELECT id, room_code, status, state_version, game_state FROM games WHERE room_code = ?',
+                [roomId]
+            );
+            
+            if (gameRows.length === 0) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Room not found' });
                 return;
             }
             
-            // Validate player
-            if (playerId !== socket.playerId) {
-                socket.emit('error', { message: 'Invalid player ID' });
+            const gameData = gameRows[0];
+            const gameState = gameData.game_state; // MySQL automatically parses JSON columns
+            
+            // Check if player is the host
+            if (!socket.playerId || gameState.host !== socket.playerId) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Only the host can remove bots' });
                 return;
             }
             
-            // Use GameEngine to validate and process the move
-            const result = GameEngine.playCard(gameState, playerId, card, chosenColor);
+            if (gameData.status !== 'waiting') {
+                await connection.rollback();
+                socket.emit('error', { message: 'Bots can only be removed in the lobby' });
+                return;
+            }
             
-            if (result.error) {
-                socket.emit('error', { message: result.error });
+            const bot = gameState.players.find(player => player.id === botId && player.isBot);
+            if (!bot) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Bot not in this room' });
                 return;
             }
             
-            // Update the cache immediately
-            activeGames[roomId] = result;
+            gameState.players = gameState.players.filter(player => player.id !== botId);
             
-            console.log(`Player ${playerId} played card: ${card.color} ${card.value}`);
+            // Update game state in database
+            await saveGameState(connection, gameData, gameState);
             
-            // Check if game is over
-            if (result.isGameOver) {
-                console.log(`Game over! Winner: ${result.winner}`);
-                
-                // Update player statistics asynchronously
-                const allPlayerIds = result.players.map(player => player.id);
-                updatePlayerStats(result.winner, allPlayerIds).catch(error => {
-                    console.error('Error updating player statistics:', error);
-                });
-                
-                // Get room info for originalHost
-                let originalHost = null;
-                try {
-                    const connection = await dbPool.getConnection();
-                    const [gameRows] = await connection.execute(
-                        'SELECT host_id FROM games WHERE room_code = ?',
-                        [roomId]
-                    );
-                    if (gameRows.length > 0) {
-                        // Get the username from the host_id
-                        const [hostRows] = await connection.execute(
-                            'SELECT username FROM users WHERE id = ?',
-                            [gameRows[0].host_id]
-                        );
-                        if (hostRows.length > 0) {
-                            originalHost = hostRows[0].username;
-                        }
-                    }
-                    connection.release();
-                } catch (error) {
-                    console.error('Error getting room info:', error);
-                }
-                
-                // Remove from cache when game ends
-                delete activeGames[roomId];
-                io.to(roomId).emit('gameOver', { 
-                    winnerId: result.winner,
-                    message: `${result.winner} wins the game!`,
-                    originalHost: originalHost
-                });
-            }
+            // Commit transaction
+            await connection.commit();
             
-            // Broadcast updated game state to all players immediately
-            const roomState = getRoomStateForClient(result, roomId);
-            io.to(roomId).emit('gameUpdate', roomState);
+            console.log(`Host ${socket.playerId} removed bot ${botId} from room ${roomId}`);
             
-            // Asynchronously update database (write-behind cache)
-            updateGameStateInDB(roomId, result).catch(error => {
-                console.error('Error updating database:', error);
-            });
+            // Send updated room state to all players in the room
+            const roomState = getRoomStateForClient(gameState, roomId);
+            io.to(roomId).emit('gameUpdate', roomState);
             
         } catch (error) {
-            console.error('Error playing card:', error);
-            socket.emit('error', { message: 'Failed to play card' });
+            if (connection) {
+                await connection.rollback();
+            }
+            if (isStateConflict(error)) {
+                throw error; // Retried by the room's action queue
+            }
+            console.error('Error in removeBot:', error);
+            socket.emit('error', { message: 'Failed to remove bot' });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
         }
-    });
+    }));
     
-    // Handle card draw
-    socket.on('drawCard', async ({ roomId, playerId }) => {
+    // Change the lobby's max players, house rules or room settings (only host can do this)
+    socket.on('updateRoomSettings', queuedByRoom(socket, async ({ roomId, maxPlayers, rules, settings, password }) => {
+        let connection;
         try {
-            // Get current game state from cache
-            const gameState = activeGames[roomId];
+            // Start database transaction
+            connection = await dbPool.getConnection();
+            await connection.beginTransaction();
             
-            if (!gameState) {
-                socket.emit('error', { message: 'Game not found in cache' });
-                return;
-            }
+            // Fetch game from database
+            const [gameRows] = await connection.execute(
+                'SELECT id, room_code, status, state_version, game_state, password_hash FROM games WHERE room_code = ?',
+                [roomId]
+            );
             
-            // Validate player
-            if (playerId !== socket.playerId) {
-                socket.emit('error', { message: 'Invalid player ID' });
+            if (gameRows.length === 0) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Room not found' });
                 return;
             }
             
-            // Use GameEngine to process the draw
-            const result = GameEngine.drawCard(gameState, playerId);
+            const gameData = gameRows[0];
+            const gameState = gameData.game_state; // MySQL automatically parses JSON columns
             
-            if (result.error) {
-                socket.emit('error', { message: result.error });
+            // Check if player is the host
+            if (!socket.playerId || gameState.host !== socket.playerId) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Only the host can change room settings' });
                 return;
             }
             
-            // Update the cache immediately
-            activeGames[roomId] = result;
-            
-            console.log(`Player ${playerId} drew a card`);
-            
-            // Broadcast updated game state to all players immediately
-            const roomState = getRoomStateForClient(result, roomId);
-            io.to(roomId).emit('gameUpdate', roomState);
-            
-            // Asynchronously update database (write-behind cache)
-            updateGameStateInDB(roomId, result).catch(error => {
-                console.error('Error updating database:', error);
-            });
-            
-        } catch (error) {
-            console.error('Error drawing card:', error);
-            socket.emit('error', { message: 'Failed to draw card' });
-        }
-    });
-    
-    // Handle playing a drawn card (from limbo state)
-    socket.on('playDrawnCard', async ({ roomId, playerId, chosenColor }) => {
-        try {
-            // Get current game state from cache
-            const gameState = activeGames[roomId];
-            
-            if (!gameState) {
-                socket.emit('error', { message: 'Game not found in cache' });
+            if (gameData.status !== 'waiting') {
+                await connection.rollback();
+                socket.emit('error', { message: 'Room settings can only be changed in the lobby' });
                 return;
             }
             
-            // Validate player
-            if (playerId !== socket.playerId) {
-                socket.emit('error', { message: 'Invalid player ID' });
+            // Everything is optional; what is sent is merged over the current lobby and validated
+            // exactly like POST /api/rooms/create
+            const playerLimit = maxPlayers === undefined ? gameState.maxPlayers : maxPlayers;
+            if (typeof playerLimit !== 'number' || playerLimit < 2 || playerLimit > 10) {
+                await connection.rollback();
+                socket.emit('error', { message: 'maxPlayers must be a number between 2 and 10' });
                 return;
             }
-            
-            // Use GameEngine to process playing the drawn card
-            const result = GameEngine.playDrawnCard(gameState, playerId, chosenColor);
-            
-            if (result.error) {
-                socket.emit('error', { message: result.error });
+            if (playerLimit < gameState.players.length) {
+                await connection.rollback();
+                socket.emit('error', { message: `maxPlayers cannot be below the ${gameState.players.length} players already in the room` });
                 return;
             }
             
-            // Update the cache immediately
-            activeGames[roomId] = result;
-            
-            console.log(`Player ${playerId} played their drawn card`);
-            
-            // Check if game is over
-            if (result.isGameOver) {
-                console.log(`Game over! Winner: ${result.winner}`);
-                
-                // Update player statistics asynchronously
-                const allPlayerIds = result.players.map(player => player.id);
-                updatePlayerStats(result.winner, allPlayerIds).catch(error => {
-                    console.error('Error updating player statistics:', error);
-                });
-                
-                // Get room info for originalHost
-                let originalHost = null;
-                try {
-                    const connection = await dbPool.getConnection();
-                    const [gameRows] = await connection.execute(
-                        'SELECT host_id FROM games WHERE room_code = ?',
-                        [roomId]
-                    );
-                    if (gameRows.length > 0) {
-                        // Get the username from the host_id
-                        const [hostRows] = await connection.execute(
-                            'SELECT username FROM users WHERE id = ?',
-                            [gameRows[0].host_id]
-                        );
-                        if (hostRows.length > 0) {
-                            originalHost = hostRows[0].username;
-                        }
-                    }
-                    connection.release();
-                } catch (error) {
-                    console.error('Error getting room info:', error);
-                }
-                
-                // Remove from cache when game ends
-                delete activeGames[roomId];
-                io.to(roomId).emit('gameOver', { 
-                    winnerId: result.winner,
-                    message: `${result.winner} wins the game!`,
-                    originalHost: originalHost
-                });
+            if (rules !== undefined && (rules === null || typeof rules !== 'object' || Array.isArray(rules))) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Rules must be an object' });
+                return;
             }
-            
-            // Broadcast updated game state to all players immediately
-            const roomState = getRoomStateForClient(result, roomId);
-            io.to(roomId).emit('gameUpdate', roomState);
-            
-            // Asynchronously update database (write-behind cache)
-            updateGameStateInDB(roomId, result).catch(error => {
-                console.error('Error updating database:', error);
-            });
-            
-        } catch (error) {
-            console.error('Error playing drawn card:', error);
-            socket.emit('error', { message: 'Failed to play drawn card' });
-        }
-    });
-    
-    // Handle passing on a drawn card (from limbo state)
-    socket.on('passDrawnCard', async ({ roomId, playerId }) => {
-        try {
-            // Get current game state from cache
-            const gameState = activeGames[roomId];
-            
-            if (!gameState) {
-                socket.emit('error', { message: 'Game not found in cache' });
+            const gameRules = GameEngine.createRules({ ...(gameState.rules || {}), ...(rules || {}) });
+            if (gameRules.error) {
+                await connection.rollback();
+                socket.emit('error', { message: gameRules.error });
                 return;
             }
             
-            // Validate player
-            if (playerId !== socket.playerId) {
-                socket.emit('error', { message: 'Invalid player ID' });
+            if (settings !== undefined && (settings === null || typeof settings !== 'object' || Array.isArray(settings))) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Settings must be an object' });
                 return;
             }
-            
-            // Use GameEngine to process passing the drawn card
-            const result = GameEngine.passDrawnCard(gameState, playerId);
-            
-            if (result.error) {
-                socket.emit('error', { message: result.error });
+            const roomSettings = createRoomSettings({ ...getRoomSettings(gameState), ...(settings || {}) });
+            if (roomSettings.error) {
+                await connection.rollback();
+                socket.emit('error', { message: roomSettings.error });
                 return;
             }
             
-            // Update the cache immediately
-            activeGames[roomId] = result;
+            // A password can be set or cleared (null) on a private room; a public room has none
+            let passwordHash = gameData.password_hash;
+            if (password !== undefined && password !== null) {
+                if (!roomSettings.isPrivate) {
+                    await connection.rollback();
+                    socket.emit('error', { message: 'A password can only be set on a private room' });
+                    return;
+                }
+                if (typeof password !== 'string' || password.length < 4 || password.length > 100) {
+                    await connection.rollback();
+                    socket.emit('error', { message: 'Room password must be a string of 4 to 100 characters' });
+                    return;
+                }
+                passwordHash = await bcrypt.hash(password, 10);
+            }
+            if (password === null || !roomSettings.isPrivate) {
+                passwordHash = null;
+            }
+            
+            gameState.maxPlayers = playerLimit;
+            gameState.rules = gameRules;
+            gameState.settings = roomSettings;
             
-            console.log(`Player ${playerId} passed on their drawn card`);
+            // Update game state in database
+            await saveGameState(connection, gameData, gameState, { password_hash: passwordHash });
             
-            // Broadcast updated game state to all players immediately
-            const roomState = getRoomStateForClient(result, roomId);
-            io.to(roomId).emit('gameUpdate', roomState);
+            // Commit transaction
+            await connection.commit();
             
-            // Asynchronously update database (write-behind cache)
-            updateGameStateInDB(roomId, result).catch(error => {
-                console.error('Error updating database:', error);
-            });
+            console.log(`Host ${socket.playerId} updated the settings of room ${roomId}`);
+            
+            // Send updated room state to all players in the room
+            const roomState = getRoomStateForClient(gameState, roomId);
+            io.to(roomId).emit('gameUpdate', roomState);
             
         } catch (error) {
-            console.error('Error passing drawn card:', error);
-            socket.emit('error', { message: 'Failed to pass drawn card' });
+            if (connection) {
+                await connection.rollback();
+            }
+            if (isStateConflict(error)) {
+                throw error; // Retried by the room's action queue
+            }
+            console.error('Error in updateRoomSettings:', error);
+            socket.emit('error', { message: 'Failed to update room settings' });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
         }
-    });
+    }));
     
-    // Handle UNO call penalty (calling UNO on another player)
-    socket.on('player:callUno', async ({ roomId, targetPlayerId }) => {
+    // Remove a player from the lobby (only host can do this)
+    socket.on('kickPlayer', queuedByRoom(socket, ({ roomId, targetPlayerId }) =>
+        removePlayerByHost(socket, roomId, targetPlayerId, false)
+    ));
+    
+    // Remove a player from the lobby and keep them out of the room (only host can do this)
+    socket.on('banPlayer', queuedByRoom(socket, ({ roomId, targetPlayerId }) =>
+        removePlayerByHost(socket, roomId, targetPlayerId, true)
+    ));
+      // Start the game (only host can do this)
+    socket.on('startGame', queuedByRoom(socket, async ({ roomId }) => {
+        let connection;
         try {
-            // Get current game state from cache
-            const gameState = activeGames[roomId];
+            console.log(`StartGame event received for room ${roomId} from socket ${socket.id}`);
             
-            if (!gameState) {
-                socket.emit('error', { message: 'Game not found in cache' });
+            // Validate input
+            if (!roomId) {
+                socket.emit('error', { message: 'Room ID is required' });
                 return;
             }
             
-            // Validate that the caller is in the game
+            // Start database transaction
+            connection = await dbPool.getConnection();
+            await connection.beginTransaction();
+            
+            // Fetch game data from database
+            const [gameRows] = await connection.execute(
+                'SELECT id, room_code, status, state_version, game_state FROM games WHERE room_code = ?',
+                [roomId]
+            );
+            
+            if (gameRows.length === 0) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+            
+            const gameData = gameRows[0];
+            const lobbyState = gameData.game_state; // This contains the lobby/waiting room state
+            
+            // Validate that socket player is in the room
             if (!socket.playerId) {
+                await connection.rollback();
                 socket.emit('error', { message: 'Player not identified' });
                 return;
             }
             
-            // Validate that the target player exists in the game
-            const targetPlayer = gameState.players.find(p => p.id === targetPlayerId);
-            if (!targetPlayer) {
-                socket.emit('error', { message: 'Target player not found in game' });
+            // Check if player is the host
+            if (lobbyState.host !== socket.playerId) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Only the host can start the game' });
                 return;
             }
             
-            // Use GameEngine to apply the UNO penalty with race condition protection
-            const result = GameEngine.callUnoPenalty(gameState, targetPlayerId, socket.playerId);
+            // Validate number of participants in database (bots have no participant row)
+            const [participantCountRows] = await connection.execute(
+                'SELECT COUNT(*) as count FROM game_participants WHERE game_id = ?',
+                [gameData.id]
+            );
             
-            // Check if the call was successful
-            if (result.error || result.success === false) {
-                // Call was invalid - send feedback but don't update state
+            const participantCount = participantCountRows[0].count;
+            const botCount = lobbyState.players.filter(player => player.isBot).length;
+            if (participantCount + botCount < 2) {
+                await connection.rollback();
+                socket.emit('error', { message: 'Need at least 2 players to start the game' });
+                return;
+            }
+            
+            // Check if game has already started
+            if (gameData.status !== 'waiting') {
+                await connection.rollback();
+                socket.emit('error', { message: 'Game has already started or completed' });
+                return;
+            }
+            
+            // Extract player IDs from the lobby state
+            const playerIds = lobbyState.players.map(player => player.id);
+            console.log(`Starting game with players: ${playerIds.join(', ')}`);
+            
+            // Call GameEngine to create the official game state with the room's house rules
+            const gameState = GameEngine.createGameState(playerIds, lobbyState.rules);
+            
+            // Carry the bots over from the lobby so the server knows which seats it plays
+            lobbyState.players.filter(player => player.isBot).forEach(bot => {
+                const seat = gameState.players.find(player => player.id === bot.id);
+                Object.assign(seat, { name: bot.name, isBot: true, botLevel: bot.botLevel });
+            });
+            
+            // Room settings stay with the game (bot takeover etc.)
+            gameState.settings = getRoomSettings(lobbyState);
+            
+            // The first turn's clock starts now (turnTimerSeconds or timeBankSeconds setting)
+            Object.assign(gameState, getTurnClock(null, gameState, null));
+            
+            // Update the database with the new game state and status
+            // The shuffle seed is kept in its own column so support can rebuild a reported game
+            await saveGameState(connection, gameData, gameState, { status: 'in_progress', shuffle_seed: gameState.seed });
+            
+            // Commit transaction
+            await connection.commit();
+            
+            // Store the complete game state in the cache for fast access
+            gameState.stateVersion = gameData.state_version;
+            activeGames[roomId] = gameState;
+            
+            console.log(`Game officially started in room ${roomId} with ${playerIds.length} players (shuffle commitment: ${gameState.shuffleCommitment})`);
+            console.log(`Current player: ${gameState.players[gameState.currentPlayerIndex].id}`);
+            
+            // Broadcast gameUpdate to all clients in the room
+            const roomStateForClients = getRoomStateForClient(gameState, roomId);
+            io.to(roomId).emit('gameUpdate', roomStateForClients);
+            sendPrivateUpdates(roomId, gameState);
+            broadcastToSpectators(roomId, gameState);
+            
+            // Also send a specific gameStarted event
+            io.to(roomId).emit('gameStarted', { 
+                message: 'Game has started! Cards have been dealt.',
+                currentPlayer: gameState.players[gameState.currentPlayerIndex].id,
+                topCard: gameState.discardPile[gameState.discardPile.length - 1],
+                shuffleCommitment: gameState.shuffleCommitment // Seed and deck order are revealed in gameOver
+            });
+            
+            console.log(`Game update broadcasted to all clients in room ${roomId}`);
+            
+            // A bot may have the first turn
+            scheduleBotAction(roomId);
+            scheduleTurnTimer(roomId);
+            
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            if (isStateConflict(error)) {
+                throw error; // Retried by the room's action queue
+            }
+            console.error('Error starting game:', error);
+            socket.emit('error', { message: 'Failed to start game: ' + error.message });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }));
+    
+    // Handle card play
+    socket.on('playCard', queuedByRoom(socket, async ({ roomId, card, chosenColor, swapTargetId }) => {
+        try {
+            // Get current game state from cache
+            const gameState = activeGames[roomId];
+            
+            if (!gameState) {
+                socket.emit('error', { message: 'Game not found in cache' });
+                return;
+            }
+            
+            // Act as the player this socket joined the room as (the session's username)
+            const playerId = socket.playerId;
+            if (!playerId) {
+                socket.emit('error', { message: 'Player not identified' });
+                return;
+            }
+            
+            // Settle simultaneous jump-ins: the first one accepted wins, the others are too late
+            const isJumpIn = gameState.players[gameState.currentPlayerIndex]?.id !== playerId;
+            const lastJumpIn = lastJumpIns[roomId];
+            if (isJumpIn && lastJumpIn && lastJumpIn.playerId !== playerId &&
+                Date.now() - lastJumpIn.acceptedAt < JUMP_IN_RACE_WINDOW_MS) {
+                socket.emit('error', { code: 'JUMP_IN_TOO_LATE', message: `${lastJumpIn.playerId} jumped in first` });
+                return;
+            }
+            
+            // Use GameEngine to validate and process the move
+            const action = { type: 'play', playerId, card, chosenColor, swapTargetId };
+            const result = GameEngine.applyAction(gameState, action);
+            
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+                return;
+            }
+            
+            console.log(`Player ${playerId} played card: ${card.color} ${card.value}${swapTargetId ? ` (swap with ${swapTargetId})` : ''}${isJumpIn ? ' (jump-in)' : ''}`);
+            
+            if (isJumpIn) {
+                lastJumpIns[roomId] = { playerId, acceptedAt: Date.now() };
+            }
+            
+            await publishGameAction(roomId, gameState, action, result);
+            
+        } catch (error) {
+            console.error('Error playing card:', error);
+            socket.emit('error', { message: 'Failed to play card' });
+        }
+    }));
+    
+    // Handle card draw
+    socket.on('drawCard', queuedByRoom(socket, async ({ roomId }) => {
+        try {
+            // Get current game state from cache
+            const gameState = activeGames[roomId];
+            
+            if (!gameState) {
+                socket.emit('error', { message: 'Game not found in cache' });
+                return;
+            }
+            
+            // Act as the player this socket joined the room as (the session's username)
+            const playerId = socket.playerId;
+            if (!playerId) {
+                socket.emit('error', { message: 'Player not identified' });
+                return;
+            }
+            
+            // Use GameEngine to process the draw
+            const action = { type: 'draw', playerId };
+            const result = GameEngine.applyAction(gameState, action);
+            
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+                return;
+            }
+            
+            const cardsDrawn = result.lastDraw ? result.lastDraw.count : 1;
+            console.log(`Player ${playerId} drew ${cardsDrawn} card${cardsDrawn === 1 ? '' : 's'}`);
+            
+            await publishGameAction(roomId, gameState, action, result);
+            
+        } catch (error) {
+            console.error('Error drawing card:', error);
+            socket.emit('error', { message: 'Failed to draw card' });
+        }
+    }));
+    
+    // Handle playing a drawn card (from limbo state)
+    socket.on('playDrawnCard', queuedByRoom(socket, async ({ roomId, chosenColor, swapTargetId }) => {
+        try {
+            // Get current game state from cache
+            const gameState = activeGames[roomId];
+            
+            if (!gameState) {
+                socket.emit('error', { message: 'Game not found in cache' });
+                return;
+            }
+            
+            // Act as the player this socket joined the room as (the session's username)
+            const playerId = socket.playerId;
+            if (!playerId) {
+                socket.emit('error', { message: 'Player not identified' });
+                return;
+            }
+            
+            // Use GameEngine to process playing the drawn card
+            const action = { type: 'playDrawn', playerId, chosenColor, swapTargetId };
+            const result = GameEngine.applyAction(gameState, action);
+            
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+                return;
+            }
+            
+            console.log(`Player ${playerId} played their drawn card`);
+            
+            await publishGameAction(roomId, gameState, action, result);
+            
+        } catch (error) {
+            console.error('Error playing drawn card:', error);
+            socket.emit('error', { message: 'Failed to play drawn card' });
+        }
+    }));
+    
+    // Handle passing on a drawn card (from limbo state)
+    socket.on('passDrawnCard', queuedByRoom(socket, async ({ roomId }) => {
+        try {
+            // Get current game state from cache
+            const gameState = activeGames[roomId];
+            
+            if (!gameState) {
+                socket.emit('error', { message: 'Game not found in cache' });
+                return;
+            }
+            
+            // Act as the player this socket joined the room as (the session's username)
+            const playerId = socket.playerId;
+            if (!playerId) {
+                socket.emit('error', { message: 'Player not identified' });
+                return;
+            }
+            
+            // Use GameEngine to process passing the drawn card
+            const action = { type: 'passDrawn', playerId };
+            const result = GameEngine.applyAction(gameState, action);
+            
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+                return;
+            }
+            
+            console.log(`Player ${playerId} passed on their drawn card`);
+            
+            await publishGameAction(roomId, gameState, action, result);
+            
+        } catch (error) {
+            console.error('Error passing drawn card:', error);
+            socket.emit('error', { message: 'Failed to pass drawn card' });
+        }
+    }));
+    
+    // Handle UNO call penalty (calling UNO on another player)
+    socket.on('player:callUno', queuedByRoom(socket, async ({ roomId, targetPlayerId }) => {
+        try {
+            // Get current game state from cache
+            const gameState = activeGames[roomId];
+            
+            if (!gameState) {
+                socket.emit('error', { message: 'Game not found in cache' });
+                return;
+            }
+            
+            // Validate that the caller is in the game
+            if (!socket.playerId) {
+                socket.emit('error', { message: 'Player not identified' });
+                return;
+            }
+            
+            // Validate that the target player exists in the game
+            const targetPlayer = gameState.players.find(p => p.id === targetPlayerId);
+            if (!targetPlayer) {
+                socket.emit('error', { message: 'Target player not found in game' });
+                return;
+            }
+            
+            // Use GameEngine to apply the UNO penalty with race condition protection
+            const action = { type: 'callUno', playerId: socket.playerId, targetPlayerId };
+            const result = GameEngine.applyAction(gameState, action);
+            
+            // Check if the call was successful
+            if (result.error || result.success === false) {
+                // Call was invalid - send feedback but don't update state
                 socket.emit('unoCallResult', {
                     caller: socket.playerId,
                     target: targetPlayerId,
@@ -1406,36 +2620,18 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Update the cache immediately
-            activeGames[roomId] = result;
-            
             console.log(`Player ${socket.playerId} successfully called UNO on ${targetPlayerId}`);
             
-            // Broadcast updated game state to all players immediately
-            const roomState = getRoomStateForClient(result, roomId);
-            io.to(roomId).emit('gameUpdate', roomState);
-            
-            // Send success feedback to all players
-            io.to(roomId).emit('unoCallResult', {
-                caller: socket.playerId,
-                target: targetPlayerId,
-                success: true,
-                message: `${socket.playerId} called UNO on ${targetPlayerId}! ${targetPlayerId} draws 2 penalty cards.`
-            });
-            
-            // Asynchronously update database (write-behind cache)
-            updateGameStateInDB(roomId, result).catch(error => {
-                console.error('Error updating database:', error);
-            });
+            await publishGameAction(roomId, gameState, action, result);
             
         } catch (error) {
             console.error('Error handling UNO call:', error);
             socket.emit('error', { message: 'Failed to process UNO call' });
         }
-    });
+    }));
     
     // Handle self-UNO declaration (player calling UNO on themselves)
-    socket.on('player:callUnoSelf', async ({ roomId }) => {
+    socket.on('player:callUnoSelf', queuedByRoom(socket, async ({ roomId }) => {
         try {
             // Get current game state from cache
             const gameState = activeGames[roomId];
@@ -1452,7 +2648,8 @@ io.on('connection', (socket) => {
             }
             
             // Use GameEngine to handle self-UNO call
-            const result = GameEngine.callUnoSelf(gameState, socket.playerId);
+            const action = { type: 'callUnoSelf', playerId: socket.playerId };
+            const result = GameEngine.applyAction(gameState, action);
             
             // Check if the call was successful
             if (result.error) {
@@ -1465,37 +2662,58 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Update the cache immediately
-            activeGames[roomId] = result;
-            
             console.log(`Player ${socket.playerId} called UNO on themselves (self-declaration)`);
             
-            // Broadcast updated game state to all players immediately
-            const roomState = getRoomStateForClient(result, roomId);
-            io.to(roomId).emit('gameUpdate', roomState);
-            
-            // Send success feedback to all players
-            io.to(roomId).emit('unoSelfResult', {
-                player: socket.playerId,
-                success: true,
-                message: `${socket.playerId} called UNO! They are now safe from penalty.`
-            });
-            
-            // Asynchronously update database (write-behind cache)
-            updateGameStateInDB(roomId, result).catch(error => {
-                console.error('Error updating database:', error);
-            });
+            await publishGameAction(roomId, gameState, action, result);
             
         } catch (error) {
             console.error('Error handling self-UNO call:', error);
             socket.emit('error', { message: 'Failed to process self-UNO call' });
         }
-    });
+    }));
+    
+    // Handle a Wild Draw Four challenge (only the player the card was played on)
+    socket.on('challengeDrawFour', queuedByRoom(socket, async ({ roomId }) => {
+        try {
+            // Get current game state from cache
+            const gameState = activeGames[roomId];
+            
+            if (!gameState) {
+                socket.emit('error', { message: 'Game not found in cache' });
+                return;
+            }
+            
+            // Act as the player this socket joined the room as (the session's username)
+            const playerId = socket.playerId;
+            if (!playerId) {
+                socket.emit('error', { message: 'Player not identified' });
+                return;
+            }
+            
+            // Use GameEngine to resolve the challenge
+            const action = { type: 'challengeDrawFour', playerId };
+            const result = GameEngine.applyAction(gameState, action);
+            
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+                return;
+            }
+            
+            const { challenged, successful } = result.challengeResult;
+            console.log(`Player ${playerId} challenged ${challenged}'s Wild Draw Four: ${successful ? 'bluff caught' : 'card was legal'}`);
+            
+            await publishGameAction(roomId, gameState, action, result);
+            
+        } catch (error) {
+            console.error('Error handling Wild Draw Four challenge:', error);
+            socket.emit('error', { message: 'Failed to process challenge' });
+        }
+    }));
     
     // Handle intentional player leaving
-    socket.on('leaveRoom', ({ roomId, playerId, reason }) => {
+    socket.on('leaveRoom', ({ roomId, reason }) => {
         try {
-            console.log(`Player ${playerId} attempting to leave room ${roomId} (reason: ${reason})`);
+            console.log(`Player ${socket.username} attempting to leave room ${roomId} (reason: ${reason})`);
             
             // More resilient validation - don't error if socket context is missing
             if (!socket.roomId || !socket.playerId) {
@@ -1508,8 +2726,8 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Validate player matches socket context
-            if (playerId !== socket.playerId || roomId !== socket.roomId) {
+            // Validate the room matches socket context
+            if (roomId !== socket.roomId) {
                 socket.emit('error', { code: 'INVALID_LEAVE', message: 'Invalid leave request' });
                 return;
             }
@@ -1525,7 +2743,10 @@ io.on('connection', (socket) => {
             socket.playerId = null;
             
             // Use the same disconnect handling logic
-            handlePlayerDisconnect(oldRoomId, oldPlayerId, socket, 'intentional_leave');
+            enqueueRoomAction(oldRoomId, () => handlePlayerDisconnect(oldRoomId, oldPlayerId, socket, 'intentional_leave')).catch(error => {
+                console.error(`Error leaving room ${oldRoomId}:`, error);
+                socket.emit('error', { code: 'LEAVE_ERROR', message: 'Failed to leave room' });
+            });
             
         } catch (error) {
             console.error('Error handling leave room:', error);
@@ -1533,22 +2754,133 @@ io.on('connection', (socket) => {
         }
     });
     
-    // Handle player disconnect
-    socket.on('disconnect', () => {
-        console.log(`Socket disconnected: ${socket.id}, Player: ${socket.playerId}, Room: ${socket.roomId}`);
-        
-        if (socket.roomId && socket.playerId) {
-            // Leave the socket room before processing disconnect
-            socket.leave(socket.roomId);
-            console.log(`Socket ${socket.id} left room ${socket.roomId}`);
-            
-            // Process the disconnect
-            handlePlayerDisconnect(socket.roomId, socket.playerId, socket);
-        }
+    // Watch a running game without playing in it
+    socket.on('spectateRoom', async ({ roomId, password, inviteToken }) => {
+        try {
+            const gameState = activeGames[roomId];
+            if (!gameState) {
+                socket.emit('error', { message: 'Room not found or game not in progress' });
+                return;
+            }
+            
+            // Players use their own room channel; spectators never share it
+            if (socket.roomId) {
+                socket.emit('error', { message: 'Leave your room before spectating' });
+                return;
+            }
+            
+            // Players still in the game play instead (players who left may watch the rest)
+            const seat = gameState.players.find(player => player.id === socket.username && player.isActive !== false);
+            if (seat) {
+                socket.emit('error', { message: 'You are playing in this room - use joinRoom instead' });
+                return;
+            }
+            
+            if (!getRoomSettings(gameState).allowSpectators) {
+                socket.emit('error', { code: 'SPECTATORS_NOT_ALLOWED', message: 'This room does not allow spectators' });
+                return;
+            }
+            
+            const [gameRows] = await dbPool.execute(
+                'SELECT id, room_code, password_hash FROM games WHERE room_code = ?',
+                [roomId]
+            );
+            if (gameRows.length === 0) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+            
+            // Banned users may not watch either
+            const userId = await getUserId(socket.username);
+            if (await isBannedFromRoom(dbPool, gameRows[0].id, userId)) {
+                socket.emit('error', { code: 'ROOM_ACCESS_DENIED', message: 'You are banned from this room' });
+                return;
+            }
+            
+            // Private rooms need the room password or an invite to watch, too
+            const accessError = await checkRoomAccess({ ...gameRows[0], game_state: gameState }, { password, inviteToken });
+            if (accessError) {
+                socket.emit('error', { code: 'ROOM_ACCESS_DENIED', message: accessError });
+                return;
+            }
+            
+            // A socket watches one room at a time
+            if (socket.spectatingRoomId && socket.spectatingRoomId !== roomId) {
+                const previousRoomId = socket.spectatingRoomId;
+                socket.leave(getSpectatorChannel(previousRoomId));
+                announceSpectatorCount(previousRoomId);
+            }
+            
+            socket.join(getSpectatorChannel(roomId));
+            socket.spectatingRoomId = roomId;
+            
+            console.log(`${socket.username} is spectating room ${roomId}`);
+            
+            // Start from the newest view already released to spectators, never the live state
+            if (spectatorFeeds[roomId]) {
+                socket.emit('gameUpdate', spectatorFeeds[roomId]);
+            } else {
+                broadcastToSpectators(roomId, gameState);
+            }
+            
+            announceSpectatorCount(roomId);
+            
+        } catch (error) {
+            console.error('Error spectating room:', error);
+            socket.emit('error', { message: 'Failed to spectate room' });
+        }
+    });
+    
+    // Stop watching a game
+    socket.on('stopSpectating', () => {
+        if (!socket.spectatingRoomId) {
+            return;
+        }
+        
+        const roomId = socket.spectatingRoomId;
+        socket.leave(getSpectatorChannel(roomId));
+        socket.spectatingRoomId = null;
+        
+        console.log(`${socket.username} stopped spectating room ${roomId}`);
+        announceSpectatorCount(roomId);
+    });
+    
+    // Handle player disconnect
+    socket.on('disconnect', () => {
+        console.log(`Socket disconnected: ${socket.id}, Player: ${socket.playerId}, Room: ${socket.roomId}`);
+        
+        // The socket has already left the spectator channel
+        if (socket.spectatingRoomId) {
+            announceSpectatorCount(socket.spectatingRoomId);
+        }
+        
+        if (socket.roomId && socket.playerId) {
+            const { roomId, playerId } = socket;
+            
+            // Leave the socket room before processing disconnect
+            socket.leave(roomId);
+            console.log(`Socket ${socket.id} left room ${roomId}`);
+            
+            // Hold the seat of a player in a running game for a while (page refresh, network blip);
+            // otherwise process the disconnect right away
+            enqueueRoomAction(roomId, async () => {
+                // The player already came back on another socket (this one timed out late)
+                if (isPlayerConnected(roomId, playerId)) {
+                    console.log(`Player ${playerId} is still connected to room ${roomId} on another socket`);
+                    return;
+                }
+                
+                if (!holdSeatForReconnect(roomId, playerId)) {
+                    await handlePlayerDisconnect(roomId, playerId, socket);
+                }
+            }).catch(error => {
+                console.error(`Error handling disconnect of ${playerId} from room ${roomId}:`, error);
+            });
+        }
     });
     
     // Handle game restart (only host can do this)
-    socket.on('restartGame', async ({ roomId }) => {
+    socket.on('restartGame', queuedByRoom(socket, async ({ roomId }) => {
         let connection;
         try {
             console.log(`Restart game request received for room ${roomId} from socket ${socket.id}`);
@@ -1571,7 +2903,7 @@ io.on('connection', (socket) => {
             
             // Fetch game data from database
             const [gameRows] = await connection.execute(
-                'SELECT id, room_code, host_id, status, game_state FROM games WHERE room_code = ?',
+                'SELECT id, room_code, host_id, status, state_version, game_state FROM games WHERE room_code = ?',
                 [roomId]
             );
             
@@ -1621,19 +2953,26 @@ io.on('connection', (socket) => {
                 [gameData.id]
             );
             
-            if (participantRows.length < 2) {
+            // Bots stay in the room without being asked
+            const bots = currentGameState.players
+                .filter(player => player.isBot)
+                .map(bot => ({ id: bot.id, name: bot.name, hand: [], isBot: true, botLevel: bot.botLevel }));
+            
+            if (participantRows.length + bots.length < 2) {
                 await connection.rollback();
                 socket.emit('error', { message: 'Need at least 2 original players to restart' });
                 return;
             }
             
-            // Create new lobby state with NO players initially (host must also choose)
+            // Create new lobby state with NO human players initially (host must also choose)
             const newLobbyState = {
                 status: 'waiting',
                 host: originalHost,
-                players: [], // 👈 host is not auto-added
-                playerCount: 0,
+                players: bots, // 👈 host is not auto-added
+                playerCount: bots.length,
                 maxPlayers: currentGameState.maxPlayers || 4,
+                rules: currentGameState.rules,
+                settings: getRoomSettings(currentGameState),
                 canStart: false,
                 createdAt: new Date().toISOString(),
                 originalHost: originalHost, // Track who can restart
@@ -1648,15 +2987,13 @@ io.on('connection', (socket) => {
             };
             
             // Update the game record to reset to waiting status
-            await connection.execute(
-                'UPDATE games SET status = ?, game_state = ?, winner_id = NULL WHERE id = ?',
-                ['waiting', JSON.stringify(newLobbyState), gameData.id]
-            );
+            await saveGameState(connection, gameData, newLobbyState, { status: 'waiting', winner_id: null, shuffle_seed: null });
             
             // Remove from active games cache if it was there
             if (activeGames[roomId]) {
                 delete activeGames[roomId];
             }
+            delete lastJumpIns[roomId];
             
             // Commit transaction
             await connection.commit();
@@ -1681,6 +3018,9 @@ io.on('connection', (socket) => {
             if (connection) {
                 await connection.rollback();
             }
+            if (isStateConflict(error)) {
+                throw error; // Retried by the room's action queue
+            }
             console.error('Error restarting game:', error);
             socket.emit('error', { message: 'Failed to restart game: ' + error.message });
         } finally {
@@ -1688,10 +3028,10 @@ io.on('connection', (socket) => {
                 connection.release();
             }
         }
-    });
+    }));
     
     // Unified handler for restart responses (replaces acceptRestart and declineRestart)
-    socket.on('respondToRestart', async ({ roomId, didAccept }) => {
+    socket.on('respondToRestart', queuedByRoom(socket, async ({ roomId, didAccept }) => {
         let connection;
         try {
             console.log(`Player ${socket.playerId} responded to restart for room ${roomId}: ${didAccept ? 'ACCEPTED' : 'DECLINED'}`);
@@ -1706,7 +3046,7 @@ io.on('connection', (socket) => {
             await connection.beginTransaction();
             
             const [gameRows] = await connection.execute(
-                'SELECT id, game_state FROM games WHERE room_code = ? AND status = ?',
+                'SELECT id, room_code, state_version, game_state FROM games WHERE room_code = ? AND status = ?',
                 [roomId, 'waiting']
             );
             
@@ -1722,163 +3062,1226 @@ io.on('connection', (socket) => {
                 
                 return;
             }
-            
-            const gameData = gameRows[0];
-            const gameState = gameData.game_state; // MySQL automatically parses JSON columns
-            
-            // Validate player is in the original players list
-            const originalPlayer = gameState.restartData?.originalPlayers?.find(p => p.id === socket.playerId);
-            if (!originalPlayer) {
-                await connection.rollback();
-                connection.release();
-                socket.emit('error', { code: 'INVALID_PLAYER', message: 'You are not part of this restart' });
-                return;
+            
+            const gameData = gameRows[0];
+            const gameState = gameData.game_state; // MySQL automatically parses JSON columns
+            
+            // Validate player is in the original players list
+            const originalPlayer = gameState.restartData?.originalPlayers?.find(p => p.id === socket.playerId);
+            if (!originalPlayer) {
+                await connection.rollback();
+                connection.release();
+                socket.emit('error', { code: 'INVALID_PLAYER', message: 'You are not part of this restart' });
+                return;
+            }
+            
+            // Remove player from awaiting response regardless of choice
+            if (gameState.restartData.awaitingResponse) {
+                gameState.restartData.awaitingResponse = gameState.restartData.awaitingResponse.filter(
+                    playerId => playerId !== socket.playerId
+                );
+            }
+            
+            if (didAccept) {
+                // ✅ PLAYER ACCEPTED - Add to lobby
+                console.log(`Adding ${socket.playerId} to lobby`);
+                
+                // Add player to the lobby
+                gameState.players.push({
+                    id: originalPlayer.id,
+                    name: originalPlayer.name,
+                    avatar: originalPlayer.avatar,
+                    hand: []
+                });
+                
+                gameState.playerCount = gameState.players.length;
+                gameState.canStart = gameState.playerCount >= 2;
+                
+                // Update database
+                await saveGameState(connection, gameData, gameState);
+                
+                await connection.commit();
+                connection.release();
+                
+                // Broadcast that player joined
+                const roomStateForClients = getRoomStateForClient(gameState, roomId);
+                io.to(roomId).emit('playerJoinedLobby', {
+                    playerId: socket.playerId,
+                    playerName: originalPlayer.name,
+                    message: `${originalPlayer.name} joined the lobby!`
+                });
+                
+                // Send updated game state to all players
+                io.to(roomId).emit('gameUpdate', roomStateForClients);
+                
+                console.log(`Player ${socket.playerId} successfully joined restart lobby for room ${roomId}`);
+                
+            } else {
+                // ❌ PLAYER DECLINED - Remove from game
+                console.log(`Removing ${socket.playerId} from game`);
+                
+                // Adjust maxPlayers if needed
+                if (gameState.playerCount < gameState.maxPlayers) {
+                    gameState.maxPlayers = Math.max(2, gameState.players.length);
+                }
+                
+                // Update canStart status
+                gameState.canStart = gameState.players.length >= 2;
+                
+                // Remove player from game_participants table
+                const [userRows] = await connection.execute(
+                    'SELECT id FROM users WHERE username = ?',
+                    [socket.playerId]
+                );
+                
+                if (userRows.length > 0) {
+                    await connection.execute(
+                        'DELETE FROM game_participants WHERE game_id = ? AND user_id = ?',
+                        [gameData.id, userRows[0].id]
+                    );
+                }
+                
+                // Update game state in database
+                await saveGameState(connection, gameData, gameState);
+                
+                await connection.commit();
+                connection.release();
+                
+                // Remove player from socket room and clear state
+                socket.leave(roomId);
+                socket.roomId = null;
+                socket.playerId = null;
+                
+                // Broadcast that player left
+                io.to(roomId).emit('playerLeftLobby', {
+                    playerId: socket.playerId,
+                    message: `${originalPlayer.name} declined the restart and left the room`,
+                    newMaxPlayers: gameState.maxPlayers
+                });
+                
+                // Send updated room state to remaining players
+                if (gameState.players.length > 0) {
+                    const roomStateForClients = getRoomStateForClient(gameState, roomId);
+                    io.to(roomId).emit('gameUpdate', roomStateForClients);
+                }
+                
+                console.log(`Player ${socket.playerId} declined restart and was removed from room ${roomId}`);
+                console.log(`Room ${roomId} now has ${gameState.playerCount} players (max: ${gameState.maxPlayers})`);
+            }
+            
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+                connection.release();
+            }
+            if (isStateConflict(error)) {
+                throw error; // Retried by the room's action queue
+            }
+            console.error('Error handling restart response:', error);
+            socket.emit('error', { code: 'RESTART_ERROR', message: 'Failed to process restart response: ' + error.message });
+        }
+    }));
+    
+    // ...existing code...
+});
+
+// ============================================================================
+// GAME MANAGEMENT UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Asynchronously updates the game state in the database (write-behind cache)
+ * Writes for a room never overlap, so an older state cannot land after a newer one;
+ * states that arrive during a write are coalesced into the newest.
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} gameState - The current game state from cache
+ * @returns {Promise} Resolves once the newest state for the room is written
+ */
+function updateGameStateInDB(roomId, gameState) {
+    const pending = pendingDbWrites[roomId];
+    if (pending) {
+        // A write is in flight: only the newest state needs to follow it
+        pending.latest = gameState;
+        return pending.done;
+    }
+    
+    const write = { latest: gameState };
+    write.done = (async () => {
+        let version = gameState.stateVersion;
+        try {
+            while (write.latest) {
+                const state = write.latest;
+                write.latest = null;
+                version = await writeGameStateToDB(roomId, state, version);
+            }
+        } catch (error) {
+            if (!isStateConflict(error)) {
+                throw error;
+            }
+            
+            // Someone else saved the running game: keep their write and continue from it
+            delete pendingDbWrites[roomId];
+            enqueueRoomAction(roomId, () => reloadGameFromDB(roomId)).catch(reloadError => {
+                console.error(`Error reloading room ${roomId}:`, reloadError);
+            });
+            return;
+        }
+        delete pendingDbWrites[roomId];
+        
+        // States built from the cache from now on were saved at this version
+        if (activeGames[roomId]) {
+            activeGames[roomId].stateVersion = version;
+        }
+    })();
+    pendingDbWrites[roomId] = write;
+    return write.done;
+}
+
+/**
+ * Writes one game state to the database (see updateGameStateInDB)
+ * The write is conditional on the version the server last saved. Only the game cache saves
+ * a running game, so finding a newer version while the game is still running means the row
+ * was saved elsewhere: nothing is written and a STATE_CONFLICT error is thrown, so the other
+ * write is kept. Once the room has been restarted or finished elsewhere, the stale state is
+ * dropped instead. The save that finishes a game also records it in completed_games.
+ * @param {string} roomId - The room ID
+ * @param {Object} gameState - Current game state
+ * @param {number} expectedVersion - games.state_version the server last read or wrote
+ * @returns {number} The room's state_version after the write
+ * @throws {Error} A STATE_CONFLICT error when the running game was saved elsewhere
+ */
+async function writeGameStateToDB(roomId, gameState, expectedVersion) {
+    let connection;
+    try {
+        connection = await dbPool.getConnection();
+        
+        const status = gameState.isGameOver ? 'completed' : 'in_progress';
+        
+        // If game is over, get winner's user ID
+        let winnerId = null;
+        if (gameState.isGameOver && gameState.winner) {
+            winnerId = await getUserId(gameState.winner);
+        }
+        
+        // A finished game is saved together with its completed_games row
+        await connection.beginTransaction();
+        
+        const [result] = await connection.execute(
+            'UPDATE games SET status = ?, game_state = ?, winner_id = ?, state_version = state_version + 1 WHERE room_code = ? AND state_version = ?',
+            [status, JSON.stringify(gameState), winnerId, roomId, expectedVersion]
+        );
+        
+        if (result.affectedRows > 0) {
+            if (gameState.isGameOver) {
+                await recordCompletedGame(connection, roomId, gameState, winnerId);
+            }
+            await connection.commit();
+            console.log(`Database updated for room ${roomId} (status: ${status}${winnerId ? `, winner: ${gameState.winner}` : ''})`);
+            return expectedVersion + 1;
+        }
+        
+        await connection.rollback();
+        
+        const [gameRows] = await connection.execute(
+            'SELECT status, state_version FROM games WHERE room_code = ?',
+            [roomId]
+        );
+        
+        if (gameRows.length === 0 || gameRows[0].status !== 'in_progress') {
+            console.warn(`Dropped a stale game state for room ${roomId}: the room was restarted or closed`);
+            return expectedVersion;
+        }
+        
+        console.error(`Room ${roomId} was saved elsewhere (version ${gameRows[0].state_version}, expected ${expectedVersion}); keeping that save`);
+        throw createStateConflictError(roomId);
+        
+    } catch (error) {
+        if (isStateConflict(error)) {
+            throw error;
+        }
+        if (connection) {
+            await connection.rollback().catch(() => {});
+        }
+        console.error(`Error updating database for room ${roomId}:`, error);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+    
+    return expectedVersion;
+}
+
+/**
+ * Keeps a finished game's shuffle seed, commitment and action log
+ * The games row is reset when the room is restarted, so this row is what is left to
+ * verify or replay the game afterwards (see GameEngine.replay). Saving the same game
+ * again, e.g. from a later write of the finished state, updates its row.
+ * @param {Object} connection - Database connection with an open transaction
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} gameState - Game state of the finished game
+ * @param {number|null} winnerId - users.id of the winner
+ */
+async function recordCompletedGame(connection, roomId, gameState, winnerId) {
+    await connection.execute(
+        `INSERT INTO completed_games (game_id, shuffle_seed, shuffle_commitment, action_log, winner_id, finished_at)
+         SELECT id, ?, ?, ?, ?, NOW() FROM games WHERE room_code = ?
+         ON DUPLICATE KEY UPDATE action_log = VALUES(action_log), winner_id = VALUES(winner_id)`,
+        [gameState.seed || null, gameState.shuffleCommitment || null, JSON.stringify(gameState.actionLog || []), winnerId, roomId]
+    );
+}
+
+/**
+ * Replaces a cached running game with the one saved in the database
+ * Used when the saved game turned out to be newer than the cache (see writeGameStateToDB):
+ * moves made on the cached state since its last save are lost, and everyone in the room
+ * gets the saved state.
+ * @param {string} roomId - The room ID (room_code)
+ */
+async function reloadGameFromDB(roomId) {
+    const [gameRows] = await dbPool.execute(
+        'SELECT status, state_version, game_state FROM games WHERE room_code = ?',
+        [roomId]
+    );
+    
+    if (gameRows.length === 0 || gameRows[0].status !== 'in_progress') {
+        delete activeGames[roomId];
+        return;
+    }
+    
+    const gameState = { ...gameRows[0].game_state, stateVersion: gameRows[0].state_version };
+    activeGames[roomId] = gameState;
+    console.warn(`Reloaded room ${roomId} from the database (version ${gameState.stateVersion})`);
+    
+    io.to(roomId).emit('gameUpdate', getRoomStateForClient(gameState, roomId));
+    sendPrivateUpdates(roomId, gameState);
+    broadcastToSpectators(roomId, gameState);
+    scheduleBotAction(roomId);
+    scheduleTurnTimer(roomId);
+}
+
+/**
+ * Builds the provably-fair reveal for a finished game
+ * Anyone can recompute the deck order from the seed and check it against the
+ * commitment that was published in gameStarted.
+ * @param {Object} gameState - Game state of a finished game
+ * @returns {Object|null} { seed, commitment, deckOrder } or null for games without a seed
+ */
+function getShuffleReveal(gameState) {
+    if (!gameState.seed) {
+        return null;
+    }
+    
+    return {
+        seed: gameState.seed,
+        commitment: gameState.shuffleCommitment,
+        deckOrder: GameEngine.getDeckOrder(gameState.seed)
+    };
+}
+
+/**
+ * Builds a player's private legalMoves payload
+ * @param {Object} gameState - Current in-progress game state
+ * @param {string} playerId - Player the moves are for
+ * @returns {Object} { playerId, moves }
+ */
+function getLegalMovesUpdate(gameState, playerId) {
+    return {
+        playerId,
+        moves: GameEngine.getLegalMoves(gameState, playerId)
+    };
+}
+
+/**
+ * Builds the private hand update for one player
+ * drawnCard is the playable card they just drew while they decide on it (limbo state), else null.
+ * @param {Object} gameState - Current in-progress game state
+ * @param {string} playerId - The player whose hand to send
+ * @returns {Object} { playerId, hand, drawnCard }
+ */
+function getHandUpdate(gameState, playerId) {
+    const player = gameState.players.find(p => p.id === playerId);
+    const limbo = gameState.playableDrawnCard;
+    return {
+        playerId,
+        hand: player ? player.hand || [] : [],
+        drawnCard: limbo && limbo.playerId === playerId ? limbo.card : null
+    };
+}
+
+/**
+ * Sends every connected player in the room their own hand and legal moves
+ * Goes to each player's own sockets only: the public gameUpdate carries hand sizes, never cards.
+ * Everyone gets an update, not just the current player, since jump-ins and UNO calls
+ * can happen out of turn.
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} gameState - Current in-progress game state
+ */
+function sendPrivateUpdates(roomId, gameState) {
+    for (const playerSocket of getChannelSockets(roomId)) {
+        if (playerSocket.roomId === roomId && playerSocket.playerId) {
+            playerSocket.emit('handUpdate', getHandUpdate(gameState, playerSocket.playerId));
+            playerSocket.emit('legalMoves', getLegalMovesUpdate(gameState, playerSocket.playerId));
+        }
+    }
+}
+
+/**
+ * Gets the socket.io room that a room's spectators join
+ * Spectators never join the players' room, so nothing sent there (hands, legal moves,
+ * undelayed updates) reaches them.
+ * @param {string} roomId - The room ID (room_code)
+ * @returns {string} Spectator channel name
+ */
+function getSpectatorChannel(roomId) {
+    return `spectators:${roomId}`;
+}
+
+/**
+ * Counts the sockets currently spectating a room
+ * @param {string} roomId - The room ID (room_code)
+ * @returns {number} Number of spectators
+ */
+function getSpectatorCount(roomId) {
+    const channel = io.sockets.adapter.rooms.get(getSpectatorChannel(roomId));
+    return channel ? channel.size : 0;
+}
+
+/**
+ * Tells players and spectators how many people are watching a room
+ * @param {string} roomId - The room ID (room_code)
+ */
+function announceSpectatorCount(roomId) {
+    io.to(roomId).to(getSpectatorChannel(roomId)).emit('spectatorCount', {
+        roomId,
+        spectatorCount: getSpectatorCount(roomId)
+    });
+}
+
+/**
+ * Sends an event to a room's spectators, held back by the room's spectatorDelaySeconds
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} gameState - Game state the event belongs to (for the room settings)
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Function} onSend - Optional callback run when the event goes out
+ */
+function emitToSpectators(roomId, gameState, event, payload, onSend) {
+    const send = () => {
+        if (onSend) {
+            onSend();
+        }
+        io.to(getSpectatorChannel(roomId)).emit(event, payload);
+    };
+    
+    const delaySeconds = getRoomSettings(gameState).spectatorDelaySeconds;
+    if (delaySeconds > 0) {
+        setTimeout(send, delaySeconds * 1000);
+    } else {
+        send();
+    }
+}
+
+/**
+ * Sends the public room view to a room's spectators
+ * The view is taken now and released after the spectator delay, so delayed spectators see
+ * the game exactly as it was, never the current state.
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} gameState - Current in-progress game state
+ */
+function broadcastToSpectators(roomId, gameState) {
+    const view = getRoomStateForClient(gameState, roomId);
+    emitToSpectators(roomId, gameState, 'gameUpdate', view, () => {
+        // Spectators who arrive later start from the newest released view
+        if (activeGames[roomId]) {
+            spectatorFeeds[roomId] = view;
+        } else {
+            delete spectatorFeeds[roomId];
+        }
+    });
+}
+
+/**
+ * Gets the username of the player who created a room (restarts are limited to them)
+ * @param {string} roomId - The room ID (room_code)
+ * @returns {Promise<string|null>} Username of the original host, or null if unknown
+ */
+async function getOriginalHost(roomId) {
+    let originalHost = null;
+    try {
+        const connection = await dbPool.getConnection();
+        const [gameRows] = await connection.execute(
+            'SELECT host_id FROM games WHERE room_code = ?',
+            [roomId]
+        );
+        if (gameRows.length > 0) {
+            // Get the username from the host_id
+            const [hostRows] = await connection.execute(
+                'SELECT username FROM users WHERE id = ?',
+                [gameRows[0].host_id]
+            );
+            if (hostRows.length > 0) {
+                originalHost = hostRows[0].username;
+            }
+        }
+        connection.release();
+    } catch (error) {
+        console.error('Error getting room info:', error);
+    }
+    return originalHost;
+}
+
+/**
+ * Publishes an accepted move to the room
+ * Every move ends here, whether it came from a socket handler or a bot: the cache is
+ * updated, round and game ends are announced, everyone gets the new state and their own
+ * legal moves, the database is updated behind the cache, and the next bot move is planned.
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} previousState - Game state the action was applied to
+ * @param {Object} action - The action that was applied (see GameEngine.applyAction)
+ * @param {Object} result - Game state returned by GameEngine.applyAction
+ * @param {boolean} autoPlayed - True when the server moved for the seat (bot, bot takeover or
+ *   turn timeout), so the move does not clear the seat's AFK strikes
+ */
+async function publishGameAction(roomId, previousState, action, result, autoPlayed = false) {
+    // A new turn gets a fresh clock (turnTimerSeconds or timeBankSeconds setting)
+    result = { ...result, ...getTurnClock(previousState, result, action) };
+    result = { ...result, ...getHeldSeatClock(result) };
+    
+    // A move of their own shows the player is not AFK (afkTurnLimit setting)
+    if (!autoPlayed && result.afkStrikes && result.afkStrikes[action.playerId]) {
+        result = { ...result, afkStrikes: { ...result.afkStrikes, [action.playerId]: 0 } };
+    }
+    
+    // Update the cache immediately
+    activeGames[roomId] = result;
+    
+    // Match mode: the round was won, scored and the next round dealt
+    if (result.round > previousState.round) {
+        announceRoundOver(roomId, result);
+    }
+    
+    announceAction(roomId, previousState, action, result);
+    
+    // Check if game is over
+    if (result.isGameOver) {
+        console.log(`Game over! Winner: ${result.winner}`);
+        
+        // Update player statistics asynchronously
+        const allPlayerIds = result.players.map(player => player.id);
+        updatePlayerStats(result.winner, allPlayerIds).catch(error => {
+            console.error('Error updating player statistics:', error);
+        });
+        
+        const originalHost = await getOriginalHost(roomId);
+        
+        // Remove from cache when game ends
+        delete activeGames[roomId];
+        delete lastJumpIns[roomId];
+        const gameOver = { 
+            winnerId: result.winner,
+            message: `${result.winner} wins the game!`,
+            originalHost: originalHost,
+            scores: result.scores,
+            fairness: getShuffleReveal(result)
+        };
+        io.to(roomId).emit('gameOver', gameOver);
+        emitToSpectators(roomId, result, 'gameOver', gameOver);
+    }
+    
+    // Broadcast updated game state to all players immediately
+    const roomState = getRoomStateForClient(result, roomId);
+    io.to(roomId).emit('gameUpdate', roomState);
+    sendPrivateUpdates(roomId, result);
+    broadcastToSpectators(roomId, result);
+    
+    // Asynchronously update database (write-behind cache)
+    updateGameStateInDB(roomId, result).catch(error => {
+        console.error('Error updating database:', error);
+    });
+    
+    scheduleBotAction(roomId);
+    scheduleTurnTimer(roomId);
+}
+
+/**
+ * Sends the room the event that goes with a move, if it has one
+ * (jump-ins, UNO calls and Wild Draw Four challenges)
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} previousState - Game state the action was applied to
+ * @param {Object} action - The action that was applied
+ * @param {Object} result - Game state returned by GameEngine.applyAction
+ */
+function announceAction(roomId, previousState, action, result) {
+    const { playerId } = action;
+    
+    switch (action.type) {
+        case 'play':
+            if (previousState.players[previousState.currentPlayerIndex]?.id !== playerId) {
+                io.to(roomId).emit('playerJumpedIn', {
+                    playerId,
+                    card: action.card,
+                    message: `${playerId} jumped in with ${action.card.color} ${action.card.value}!`
+                });
+            }
+            break;
+            
+        case 'callUno':
+            io.to(roomId).emit('unoCallResult', {
+                caller: playerId,
+                target: action.targetPlayerId,
+                success: true,
+                message: `${playerId} called UNO on ${action.targetPlayerId}! ${action.targetPlayerId} draws 2 penalty cards.`
+            });
+            break;
+            
+        case 'callUnoSelf':
+            io.to(roomId).emit('unoSelfResult', {
+                player: playerId,
+                success: true,
+                message: `${playerId} called UNO! They are now safe from penalty.`
+            });
+            break;
+            
+        case 'challengeDrawFour': {
+            const { challenged, successful, penalizedPlayer, cardsDrawn } = result.challengeResult;
+            io.to(roomId).emit('drawFourChallengeResult', {
+                ...result.challengeResult,
+                message: successful ?
+                    `${playerId} caught ${challenged} bluffing! ${penalizedPlayer} draws ${cardsDrawn} cards.` :
+                    `${challenged}'s Wild Draw Four was legal! ${penalizedPlayer} draws ${cardsDrawn} cards.`
+            });
+            break;
+        }
+    }
+}
+
+/**
+ * Checks whether the server plays a seat: a bot player, or a disconnected player's
+ * seat that a bot took over (botTakeover setting)
+ * @param {Object} player - Player in a game state
+ * @returns {boolean} True if a bot makes this seat's moves
+ */
+function isBotSeat(player) {
+    return (player.isBot || player.botControlled) && player.isActive !== false;
+}
+
+/**
+ * Plans the next bot move in a room after a short, human-like delay
+ * Any move that was already planned is dropped, because the state it was planned for
+ * is gone; the bot decides again when the timer fires.
+ * @param {string} roomId - The room ID (room_code)
+ */
+function scheduleBotAction(roomId) {
+    clearTimeout(botTimers[roomId]);
+    delete botTimers[roomId];
+    
+    const gameState = activeGames[roomId];
+    if (!gameState || gameState.isGameOver || !gameState.players.some(isBotSeat)) {
+        return;
+    }
+    
+    const delay = BOT_MIN_DELAY_MS + Math.floor(Math.random() * (BOT_MAX_DELAY_MS - BOT_MIN_DELAY_MS));
+    botTimers[roomId] = setTimeout(() => {
+        delete botTimers[roomId];
+        enqueueRoomAction(roomId, () => runBotAction(roomId)).catch(error => {
+            console.error(`Error running bot move in room ${roomId}:`, error);
+        });
+    }, delay);
+}
+
+/**
+ * Lets the first bot seat that has something to do in a room make its move
+ * The move goes through GameEngine.applyAction and publishGameAction exactly like a
+ * human's, which plans the next bot move in turn.
+ * @param {string} roomId - The room ID (room_code)
+ */
+async function runBotAction(roomId) {
+    const gameState = activeGames[roomId];
+    if (!gameState || gameState.isGameOver) {
+        return;
+    }
+    
+    // The bot on UNO gets to call it before another bot can catch it
+    const bots = gameState.players
+        .filter(isBotSeat)
+        .sort((a, b) => (b.id === gameState.unoPlayerId) - (a.id === gameState.unoPlayerId));
+    
+    for (const bot of bots) {
+        const botLevel = bot.botLevel || TAKEOVER_BOT_LEVEL;
+        const action = BotPlayer.chooseBotAction(gameState, bot.id, botLevel);
+        if (!action) {
+            continue;
+        }
+        
+        const result = GameEngine.applyAction(gameState, action);
+        if (result.error) {
+            console.error(`Bot ${bot.id} made an invalid move in room ${roomId}: ${result.error}`);
+            return;
+        }
+        
+        console.log(`Bot ${bot.id} (${botLevel}) in room ${roomId}: ${action.type}${action.card ? ` ${action.card.color} ${action.card.value}` : ''}`);
+        await publishGameAction(roomId, gameState, action, result, true);
+        return;
+    }
+}
+
+/**
+ * Works out the turn clock after a move (turnTimerSeconds or timeBankSeconds setting)
+ * The clock restarts when the turn passes to another seat or the move ended the turn;
+ * otherwise (a draw into limbo, an UNO call) the running deadline is kept.
+ * With a time bank, the player whose turn ended is charged the time they used (plus the
+ * increment), and the next player's deadline is whatever is left in their bank.
+ * @param {Object|null} previousState - State before the move (null when the game starts)
+ * @param {Object} gameState - State after the move
+ * @param {Object|null} action - The move that was applied
+ * @returns {Object} { turnDeadline, turnStartedAt, turnClockPausedAt, timeBanks } to merge into the game state
+ */
+function getTurnClock(previousState, gameState, action) {
+    const settings = getRoomSettings(gameState);
+    if (gameState.isGameOver || (!settings.turnTimerSeconds && !settings.timeBankSeconds)) {
+        return { turnDeadline: null, turnStartedAt: null, turnClockPausedAt: null };
+    }
+    
+    const isNewTurn = !previousState || !previousState.turnDeadline ||
+        previousState.currentPlayerIndex !== gameState.currentPlayerIndex ||
+        TURN_ENDING_ACTIONS.includes(action.type);
+    if (!isNewTurn) {
+        return {};
+    }
+    
+    const now = Date.now();
+    if (!settings.timeBankSeconds) {
+        return { turnDeadline: now + settings.turnTimerSeconds * 1000, turnStartedAt: now, turnClockPausedAt: null };
+    }
+    
+    // Every player starts with a full bank
+    const timeBanks = { ...(gameState.timeBanks || Object.fromEntries(
+        gameState.players.map(player => [player.id, settings.timeBankSeconds * 1000])
+    )) };
+    
+    if (previousState && previousState.turnStartedAt) {
+        const previousPlayer = gameState.players[previousState.currentPlayerIndex];
+        const timeUsed = (previousState.turnClockPausedAt || now) - previousState.turnStartedAt; // Paused time is free
+        const increment = previousPlayer.isActive !== false ? settings.timeBankIncrementSeconds * 1000 : 0;
+        timeBanks[previousPlayer.id] = Math.max(0, timeBanks[previousPlayer.id] - timeUsed) + increment;
+    }
+    
+    const currentPlayerId = gameState.players[gameState.currentPlayerIndex].id;
+    return { turnDeadline: now + timeBanks[currentPlayerId], turnStartedAt: now, turnClockPausedAt: null, timeBanks };
+}
+
+/**
+ * Pauses the turn clock while the player whose turn it is has their seat held
+ * (reconnectGraceSeconds setting), and restarts it with the time they had left once the
+ * seat is taken back or given up. Time spent paused is not charged to a time bank.
+ * @param {Object} gameState - Game state after a change
+ * @returns {Object} { turnDeadline, turnStartedAt, turnClockPausedAt } to merge into the game state
+ */
+function getHeldSeatClock(gameState) {
+    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    const isHeld = !gameState.isGameOver && !!currentPlayer && !!currentPlayer.reconnectDeadline;
+    
+    if (isHeld && gameState.turnDeadline && !gameState.turnClockPausedAt) {
+        return { turnClockPausedAt: Date.now() };
+    }
+    
+    if (!isHeld && gameState.turnClockPausedAt) {
+        const pausedFor = Date.now() - gameState.turnClockPausedAt;
+        return {
+            turnDeadline: gameState.turnDeadline && gameState.turnDeadline + pausedFor,
+            turnStartedAt: gameState.turnStartedAt && gameState.turnStartedAt + pausedFor,
+            turnClockPausedAt: null
+        };
+    }
+    
+    return {};
+}
+
+/**
+ * Gets how much time a player has left in their time bank (timeBankSeconds setting)
+ * The player whose turn it is loses time as it runs, so theirs is counted to the deadline.
+ * @param {Object} gameState - Current in-progress game state
+ * @param {string} playerId - The player to look up
+ * @returns {number} Remaining time in milliseconds
+ */
+function getRemainingTimeBank(gameState, playerId) {
+    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    if (!gameState.isGameOver && gameState.turnDeadline && currentPlayer && currentPlayer.id === playerId) {
+        return Math.max(0, gameState.turnDeadline - (gameState.turnClockPausedAt || Date.now()));
+    }
+    return gameState.timeBanks[playerId] || 0;
+}
+
+/**
+ * (Re)starts a room's turn timer from the turnDeadline in the cached game state
+ * Called after every change to a running game, so the timer always matches the newest
+ * state; after a server restart the saved deadline is picked up again.
+ * @param {string} roomId - The room ID (room_code)
+ */
+function scheduleTurnTimer(roomId) {
+    clearTimeout(turnTimers[roomId]);
+    delete turnTimers[roomId];
+    
+    const gameState = activeGames[roomId];
+    if (!gameState || gameState.isGameOver || !gameState.turnDeadline || gameState.turnClockPausedAt) {
+        return;
+    }
+    
+    turnTimers[roomId] = setTimeout(() => {
+        delete turnTimers[roomId];
+        enqueueRoomAction(roomId, () => expireTurn(roomId)).catch(error => {
+            console.error(`Error ending timed-out turn in room ${roomId}:`, error);
+        });
+    }, Math.max(0, gameState.turnDeadline - Date.now()));
+}
+
+/**
+ * Ends a timed-out turn. With a turn timer, the server draws for the current player
+ * (accepting any pending penalty), or keeps the drawn card if they were in limbo, so play
+ * moves on; the moves go through GameEngine.applyAction and publishGameAction like any other.
+ * With a time bank, the player has run out of time altogether and is eliminated.
+ * @param {string} roomId - The room ID (room_code)
+ */
+async function expireTurn(roomId) {
+    const gameState = activeGames[roomId];
+    if (!gameState || gameState.isGameOver || !gameState.turnDeadline || gameState.turnClockPausedAt) {
+        return;
+    }
+    
+    // A move restarted the clock after this timer was set
+    if (Date.now() < gameState.turnDeadline) {
+        scheduleTurnTimer(roomId);
+        return;
+    }
+    
+    const playerId = gameState.players[gameState.currentPlayerIndex].id;
+    
+    // Out of time bank: the player is out of the game, exactly like a forfeit
+    if (getRoomSettings(gameState).timeBankSeconds) {
+        console.log(`${playerId} ran out of time in room ${roomId}`);
+        activeGames[roomId] = {
+            ...gameState,
+            timeBanks: { ...gameState.timeBanks, [playerId]: 0 }
+        };
+        await handlePlayerDisconnect(roomId, playerId, io, 'out_of_time');
+        return;
+    }
+    
+    // Too many timed-out turns in a row: the player is AFK and is removed from the game
+    const afkStrikes = ((gameState.afkStrikes || {})[playerId] || 0) + 1;
+    const afkTurnLimit = getRoomSettings(gameState).afkTurnLimit;
+    if (afkTurnLimit && afkStrikes >= afkTurnLimit) {
+        console.log(`${playerId} is AFK in room ${roomId} (${afkStrikes} turns timed out in a row)`);
+        evictPlayerSockets(roomId, playerId, 'afk', `You were removed from the game after ${afkStrikes} turns without playing`);
+        await handlePlayerDisconnect(roomId, playerId, io, 'afk');
+        return;
+    }
+    
+    const inLimbo = !!gameState.playableDrawnCard && gameState.playableDrawnCard.playerId === playerId;
+    const action = inLimbo ? { type: 'passDrawn', playerId } : { type: 'draw', playerId };
+    
+    let result = GameEngine.applyAction(gameState, action);
+    if (result.error) {
+        console.error(`Could not end ${playerId}'s timed-out turn in room ${roomId}: ${result.error}`);
+        return;
+    }
+    result = { ...result, afkStrikes: { ...(result.afkStrikes || {}), [playerId]: afkStrikes } };
+    
+    console.log(`Turn timed out for ${playerId} in room ${roomId}: ${action.type}`);
+    io.to(roomId).emit('turnTimedOut', {
+        playerId,
+        action: action.type,
+        message: `${playerId} ran out of time${inLimbo ? ' and kept the drawn card' : ' and drew a card'}`
+    });
+    await publishGameAction(roomId, gameState, action, result, true);
+    
+    // The card drawn for them was playable: keep it rather than wait in limbo
+    const afterDraw = activeGames[roomId];
+    if (!inLimbo && afterDraw && afterDraw.playableDrawnCard && afterDraw.playableDrawnCard.playerId === playerId) {
+        const pass = { type: 'passDrawn', playerId };
+        const passed = GameEngine.applyAction(afterDraw, pass);
+        if (!passed.error) {
+            await publishGameAction(roomId, afterDraw, pass, passed, true);
+        }
+    }
+}
+
+/**
+ * Tells everyone in the room that a match round ended and a new round was dealt
+ * @param {string} roomId - The room ID (room_code)
+ * @param {Object} gameState - Game state after the next round was dealt
+ */
+function announceRoundOver(roomId, gameState) {
+    const lastRound = gameState.roundHistory[gameState.roundHistory.length - 1];
+    
+    console.log(`Room ${roomId}: round ${lastRound.round} won by ${lastRound.winner} for ${lastRound.points} points`);
+    
+    io.to(roomId).emit('roundOver', {
+        round: lastRound.round,
+        winnerId: lastRound.winner,
+        points: lastRound.points,
+        scores: gameState.scores,
+        nextRound: gameState.round,
+        message: `${lastRound.winner} wins round ${lastRound.round} and scores ${lastRound.points} points!`
+    });
+}
+
+/**
+ * Holds a disconnected player's seat for the room's reconnect grace period
+ * The player stays in the game and is shown as reconnecting; joinRoom within the
+ * window restores them. When the window runs out they are disconnected as usual
+ * (skipped, or replaced by a bot with the botTakeover setting). While the seat is held and
+ * it is their turn, the turn clock is paused (see getHeldSeatClock).
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} playerId - The ID of the disconnected player
+ * @returns {boolean} True if the seat is held, false if the disconnect should be processed now
+ */
+function holdSeatForReconnect(roomId, playerId) {
+    const gameState = activeGames[roomId];
+    if (!gameState || gameState.isGameOver) {
+        return false;
+    }
+    
+    const player = gameState.players.find(p => p.id === playerId);
+    const graceSeconds = getRoomSettings(gameState).reconnectGraceSeconds;
+    if (!player || player.isActive === false || player.botControlled || graceSeconds <= 0) {
+        return false;
+    }
+    
+    const reconnectDeadline = Date.now() + graceSeconds * 1000;
+    let heldState = {
+        ...gameState,
+        players: gameState.players.map(p => p.id === playerId ? { ...p, reconnectDeadline } : p)
+    };
+    heldState = { ...heldState, ...getHeldSeatClock(heldState) };
+    activeGames[roomId] = heldState;
+    startReconnectTimer(roomId, playerId, reconnectDeadline);
+    scheduleTurnTimer(roomId);
+    
+    console.log(`Holding ${playerId}'s seat in room ${roomId} for ${graceSeconds}s`);
+    
+    io.to(roomId).emit('gameUpdate', getRoomStateForClient(heldState, roomId));
+    broadcastToSpectators(roomId, heldState);
+    io.to(roomId).emit('playerReconnecting', {
+        playerId,
+        reconnectDeadline,
+        message: `${playerId} lost connection - waiting ${graceSeconds} seconds for them to come back`
+    });
+    
+    // Asynchronously update database (write-behind cache)
+    updateGameStateInDB(roomId, heldState).catch(error => {
+        console.error('Error updating database:', error);
+    });
+    
+    return true;
+}
+
+/**
+ * Starts (or restarts) the timer that ends a player's reconnect grace period
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} playerId - The ID of the disconnected player
+ * @param {number} reconnectDeadline - Time (ms since epoch) the grace period ends
+ */
+function startReconnectTimer(roomId, playerId, reconnectDeadline) {
+    clearReconnectTimer(roomId, playerId);
+    
+    const timerKey = `${roomId}:${playerId}`;
+    reconnectTimers[timerKey] = setTimeout(() => {
+        delete reconnectTimers[timerKey];
+        enqueueRoomAction(roomId, () => expireReconnectGrace(roomId, playerId)).catch(error => {
+            console.error(`Error ending reconnect grace period for ${playerId} in room ${roomId}:`, error);
+        });
+    }, Math.max(0, reconnectDeadline - Date.now()));
+}
+
+/**
+ * Stops a player's reconnect grace period timer, if one is running
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} playerId - The ID of the player
+ */
+function clearReconnectTimer(roomId, playerId) {
+    const timerKey = `${roomId}:${playerId}`;
+    clearTimeout(reconnectTimers[timerKey]);
+    delete reconnectTimers[timerKey];
+}
+
+/**
+ * Ends a reconnect grace period that ran out: the player is disconnected for real
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} playerId - The ID of the player who did not come back
+ */
+async function expireReconnectGrace(roomId, playerId) {
+    const gameState = activeGames[roomId];
+    const player = gameState && gameState.players.find(p => p.id === playerId);
+    if (!player || !player.reconnectDeadline || player.isActive === false) {
+        return;
+    }
+    
+    // The turn clock runs again for whoever plays the seat from now on
+    const releasedState = {
+        ...gameState,
+        players: gameState.players.map(p => p.id === playerId ? { ...p, reconnectDeadline: null } : p)
+    };
+    activeGames[roomId] = { ...releasedState, ...getHeldSeatClock(releasedState) };
+    
+    // A socket of the player's is in the room after all: release the seat back to them
+    if (isPlayerConnected(roomId, playerId)) {
+        console.log(`Player ${playerId} is connected to room ${roomId}, releasing their held seat`);
+        io.to(roomId).emit('gameUpdate', getRoomStateForClient(activeGames[roomId], roomId));
+        broadcastToSpectators(roomId, activeGames[roomId]);
+        scheduleTurnTimer(roomId);
+        updateGameStateInDB(roomId, activeGames[roomId]).catch(error => {
+            console.error('Error updating database:', error);
+        });
+        return;
+    }
+    
+    console.log(`Player ${playerId} did not reconnect to room ${roomId} in time`);
+    
+    // The player's socket is gone, so broadcast through the server instead
+    await handlePlayerDisconnect(roomId, playerId, io);
+}
+
+/**
+ * Tells a player they were removed from a room and takes their sockets out of it
+ * Clearing the sockets' room context means their later disconnect is not handled as
+ * leaving the room a second time.
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} playerId - The removed player
+ * @param {string} reason - Reason code sent to the player ('kicked', 'banned' or 'afk')
+ * @param {string} message - Message for the player
+ */
+function evictPlayerSockets(roomId, playerId, reason, message) {
+    for (const playerSocket of getChannelSockets(roomId)) {
+        if (playerSocket.roomId === roomId && playerSocket.playerId === playerId) {
+            playerSocket.emit('removedFromRoom', { roomId, reason, message });
+            playerSocket.leave(roomId);
+            playerSocket.roomId = null;
+            playerSocket.playerId = null;
+        }
+    }
+}
+
+/**
+ * Checks whether a player has a socket connected to a room
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} playerId - The player to look for
+ * @returns {boolean} True if one of the player's sockets is in the room
+ */
+function isPlayerConnected(roomId, playerId) {
+    return getChannelSockets(roomId).some(
+        playerSocket => playerSocket.roomId === roomId && playerSocket.playerId === playerId
+    );
+}
+
+/**
+ * Records that a player acted in a room, restarting their lobbyIdleSeconds countdown
+ * @param {string} roomId - The room ID (room_code)
+ * @param {string} playerId - The acting player
+ */
+function recordLobbyActivity(roomId, playerId) {
+    if (!roomId || !playerId) {
+        return;
+    }
+    
+    lobbyActivity[roomId] = lobbyActivity[roomId] || {};
+    lobbyActivity[roomId][playerId] = Date.now();
+}
+
+/**
+ * Removes players who sit in a waiting lobby without a connected socket and without acting
+ * for longer than the room's lobbyIdleSeconds, so they do not hold seats or get dealt into a
+ * game they will never play. The host is never removed, and connected players are left to
+ * the host's kickPlayer. Only lobbies with recorded activity are read. Idle players leave
+ * through handlePlayerDisconnect like any other lobby player.
+ */
+async function sweepIdleLobbyPlayers() {
+    const roomIds = Object.keys(lobbyActivity);
+    if (roomIds.length === 0) {
+        return;
+    }
+    
+    try {
+        const [gameRows] = await dbPool.execute(
+            `SELECT room_code, game_state FROM games WHERE status = ? AND room_code IN (${roomIds.map(() => '?').join(', ')})`,
+            ['waiting', ...roomIds]
+        );
+        
+        // Lobbies that started or closed are no longer tracked
+        const waitingRoomIds = new Set(gameRows.map(gameData => gameData.room_code));
+        for (const roomId of roomIds) {
+            if (!waitingRoomIds.has(roomId)) {
+                delete lobbyActivity[roomId];
+            }
+        }
+        
+        const now = Date.now();
+        for (const gameData of gameRows) {
+            const roomId = gameData.room_code;
+            const idleSeconds = getRoomSettings(gameData.game_state).lobbyIdleSeconds;
+            const humanIds = gameData.game_state.players.filter(p => !p.isBot).map(p => p.id);
+            const activity = lobbyActivity[roomId] = lobbyActivity[roomId] || {};
+            
+            // Forget users who are not seated, and start the clock for seated players not seen yet
+            for (const playerId of Object.keys(activity)) {
+                if (!humanIds.includes(playerId)) {
+                    delete activity[playerId];
+                }
             }
-            
-            // Remove player from awaiting response regardless of choice
-            if (gameState.restartData.awaitingResponse) {
-                gameState.restartData.awaitingResponse = gameState.restartData.awaitingResponse.filter(
-                    playerId => playerId !== socket.playerId
-                );
+            for (const playerId of humanIds) {
+                activity[playerId] = activity[playerId] || now;
             }
             
-            if (didAccept) {
-                // ✅ PLAYER ACCEPTED - Add to lobby
-                console.log(`Adding ${socket.playerId} to lobby`);
-                
-                // Add player to the lobby
-                gameState.players.push({
-                    id: originalPlayer.id,
-                    name: originalPlayer.name,
-                    avatar: originalPlayer.avatar,
-                    hand: []
-                });
-                
-                gameState.playerCount = gameState.players.length;
-                gameState.canStart = gameState.playerCount >= 2;
-                
-                // Update database
-                await connection.execute(
-                    'UPDATE games SET game_state = ? WHERE id = ?',
-                    [JSON.stringify(gameState), gameData.id]
-                );
-                
-                await connection.commit();
-                connection.release();
-                
-                // Broadcast that player joined
-                const roomStateForClients = getRoomStateForClient(gameState, roomId);
-                io.to(roomId).emit('playerJoinedLobby', {
-                    playerId: socket.playerId,
-                    playerName: originalPlayer.name,
-                    message: `${originalPlayer.name} joined the lobby!`
-                });
-                
-                // Send updated game state to all players
-                io.to(roomId).emit('gameUpdate', roomStateForClients);
-                
-                console.log(`Player ${socket.playerId} successfully joined restart lobby for room ${roomId}`);
-                
-            } else {
-                // ❌ PLAYER DECLINED - Remove from game
-                console.log(`Removing ${socket.playerId} from game`);
-                
-                // Adjust maxPlayers if needed
-                if (gameState.playerCount < gameState.maxPlayers) {
-                    gameState.maxPlayers = Math.max(2, gameState.players.length);
-                }
-                
-                // Update canStart status
-                gameState.canStart = gameState.players.length >= 2;
-                
-                // Remove player from game_participants table
-                const [userRows] = await connection.execute(
-                    'SELECT id FROM users WHERE username = ?',
-                    [socket.playerId]
-                );
-                
-                if (userRows.length > 0) {
-                    await connection.execute(
-                        'DELETE FROM game_participants WHERE game_id = ? AND user_id = ?',
-                        [gameData.id, userRows[0].id]
-                    );
-                }
-                
-                // Update game state in database
-                await connection.execute(
-                    'UPDATE games SET game_state = ? WHERE id = ?',
-                    [JSON.stringify(gameState), gameData.id]
-                );
-                
-                await connection.commit();
-                connection.release();
-                
-                // Remove player from socket room and clear state
-                socket.leave(roomId);
-                socket.roomId = null;
-                socket.playerId = null;
-                
-                // Broadcast that player left
-                io.to(roomId).emit('playerLeftLobby', {
-                    playerId: socket.playerId,
-                    message: `${originalPlayer.name} declined the restart and left the room`,
-                    newMaxPlayers: gameState.maxPlayers
-                });
-                
-                // Send updated room state to remaining players
-                if (gameState.players.length > 0) {
-                    const roomStateForClients = getRoomStateForClient(gameState, roomId);
-                    io.to(roomId).emit('gameUpdate', roomStateForClients);
-                }
-                
-                console.log(`Player ${socket.playerId} declined restart and was removed from room ${roomId}`);
-                console.log(`Room ${roomId} now has ${gameState.playerCount} players (max: ${gameState.maxPlayers})`);
+            if (!idleSeconds) {
+                continue;
             }
             
-        } catch (error) {
-            if (connection) {
-                await connection.rollback();
-                connection.release();
+            const isIdle = playerId => !isPlayerConnected(roomId, playerId) &&
+                Date.now() - (lobbyActivity[roomId] || {})[playerId] >= idleSeconds * 1000;
+            const idleIds = humanIds.filter(playerId => playerId !== gameData.game_state.host && isIdle(playerId));
+            for (const playerId of idleIds) {
+                // Actions queued before this one may have started the game or come from the player
+                await enqueueRoomAction(roomId, async () => {
+                    if (activeGames[roomId] || !isIdle(playerId)) {
+                        return;
+                    }
+                    
+                    console.log(`Removing idle player ${playerId} from lobby ${roomId}`);
+                    await handlePlayerDisconnect(roomId, playerId, io, 'afk');
+                }).catch(error => {
+                    console.error(`Error removing idle player ${playerId} from lobby ${roomId}:`, error);
+                });
             }
-            console.error('Error handling restart response:', error);
-            socket.emit('error', { code: 'RESTART_ERROR', message: 'Failed to process restart response: ' + error.message });
         }
-    });
-    
-    // ...existing code...
-});
-
-// ============================================================================
-// GAME MANAGEMENT UTILITY FUNCTIONS
-// ============================================================================
+    } catch (error) {
+        console.error('Error checking lobbies for idle players:', error);
+    }
+}
 
 /**
- * Asynchronously updates the game state in the database (write-behind cache)
+ * Removes a player from a lobby at the host's request, optionally banning them
+ * Used by the kickPlayer and banPlayer socket events. The player loses their seat and
+ * participant row, and their sockets leave the room. A ban also keeps them out of
+ * POST /api/rooms/:roomId/join for as long as the room exists (restarts included).
+ * @param {Object} socket - The host's socket
  * @param {string} roomId - The room ID (room_code)
- * @param {Object} gameState - The current game state from cache
+ * @param {string} targetPlayerId - Username of the player to remove
+ * @param {boolean} ban - True to ban the player as well
  */
-async function updateGameStateInDB(roomId, gameState) {
+async function removePlayerByHost(socket, roomId, targetPlayerId, ban) {
+    const action = ban ? 'ban' : 'kick';
     let connection;
     try {
+        // Start database transaction
         connection = await dbPool.getConnection();
+        await connection.beginTransaction();
         
-        const status = gameState.isGameOver ? 'completed' : 'in_progress';
+        // Fetch game from database
+        const [gameRows] = await connection.execute(
+            'SELECT id, room_code, status, state_version, game_state FROM games WHERE room_code = ?',
+            [roomId]
+        );
         
-        // If game is over, get winner's user ID
-        let winnerId = null;
-        if (gameState.isGameOver && gameState.winner) {
-            winnerId = await getUserId(gameState.winner);
+        if (gameRows.length === 0) {
+            await connection.rollback();
+            socket.emit('error', { message: 'Room not found' });
+            return;
         }
         
-        await connection.execute(
-            'UPDATE games SET status = ?, game_state = ?, winner_id = ? WHERE room_code = ?',
-            [status, JSON.stringify(gameState), winnerId, roomId]
+        const gameData = gameRows[0];
+        const gameState = gameData.game_state; // MySQL automatically parses JSON columns
+        
+        // Check if player is the host
+        if (!socket.playerId || gameState.host !== socket.playerId) {
+            await connection.rollback();
+            socket.emit('error', { message: `Only the host can ${action} players` });
+            return;
+        }
+        
+        if (gameData.status !== 'waiting') {
+            await connection.rollback();
+            socket.emit('error', { message: `Players can only be ${ban ? 'banned' : 'kicked'} in the lobby` });
+            return;
+        }
+        
+        if (targetPlayerId === socket.playerId) {
+            await connection.rollback();
+            socket.emit('error', { message: `You cannot ${action} yourself` });
+            return;
+        }
+        
+        if (BotPlayer.isBotId(targetPlayerId)) {
+            await connection.rollback();
+            socket.emit('error', { message: 'Use removeBot to remove a bot' });
+            return;
+        }
+        
+        // After a restart, original players who have not answered yet are not seated
+        const restartData = gameState.restartData;
+        const isSeated = gameState.players.some(player => player.id === targetPlayerId);
+        const isAwaited = !!restartData && restartData.awaitingResponse.includes(targetPlayerId);
+        if (!isSeated && !isAwaited) {
+            await connection.rollback();
+            socket.emit('error', { message: 'Player not in this room' });
+            return;
+        }
+        
+        gameState.players = gameState.players.filter(player => player.id !== targetPlayerId);
+        if (restartData) {
+            restartData.originalPlayers = restartData.originalPlayers.filter(player => player.id !== targetPlayerId);
+            restartData.awaitingResponse = restartData.awaitingResponse.filter(playerId => playerId !== targetPlayerId);
+        }
+        
+        const [userRows] = await connection.execute(
+            'SELECT id FROM users WHERE username = ?',
+            [targetPlayerId]
         );
         
-        console.log(`Database updated for room ${roomId} (status: ${status}${winnerId ? `, winner: ${gameState.winner}` : ''})`);
+        if (userRows.length > 0) {
+            const targetUserId = userRows[0].id;
+            await connection.execute(
+                'DELETE FROM game_participants WHERE game_id = ? AND user_id = ?',
+                [gameData.id, targetUserId]
+            );
+            
+            if (ban) {
+                const hostUserId = await getUserId(socket.playerId);
+                await connection.execute(
+                    'INSERT IGNORE INTO room_bans (game_id, user_id, banned_by, created_at) VALUES (?, ?, ?, NOW())',
+                    [gameData.id, targetUserId, hostUserId]
+                );
+            }
+        }
+        
+        // Update game state in database
+        await saveGameState(connection, gameData, gameState);
+        
+        // Commit transaction
+        await connection.commit();
+        
+        console.log(`Host ${socket.playerId} ${ban ? 'banned' : 'kicked'} ${targetPlayerId} from room ${roomId}`);
+        
+        const reason = ban ? 'banned' : 'kicked';
+        evictPlayerSockets(roomId, targetPlayerId, reason, ban ? 'The host banned you from this room' : 'The host removed you from this room');
+        
+        // Tell everyone else and send them the new lobby
+        io.to(roomId).emit('playerRemoved', {
+            playerId: targetPlayerId,
+            reason,
+            message: `${targetPlayerId} was ${ban ? 'banned' : 'kicked'} by the host`
+        });
+        io.to(roomId).emit('gameUpdate', getRoomStateForClient(gameState, roomId));
         
     } catch (error) {
-        console.error(`Error updating database for room ${roomId}:`, error);
+        if (connection) {
+            await connection.rollback();
+        }
+        if (isStateConflict(error)) {
+            throw error; // Retried by the room's action queue
+        }
+        console.error(`Error in ${action}Player:`, error);
+        socket.emit('error', { message: `Failed to ${action} player` });
     } finally {
         if (connection) {
             connection.release();
@@ -1895,8 +4298,8 @@ async function updateGameStateInDB(roomId, gameState) {
  * 
  * @param {string} roomId - The room ID (room_code) the player was in
  * @param {string} playerId - The ID of the disconnected player
- * @param {Object} socket - The socket object for broadcasting
- * @param {string} reason - The reason for disconnection ('disconnect' or 'intentional_leave')
+ * @param {Object} socket - The socket object for broadcasting (or io when the socket is gone)
+ * @param {string} reason - The reason for disconnection ('disconnect', 'intentional_leave', 'out_of_time' or 'afk')
  */
 async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'disconnect') {
     let connection;
@@ -1907,7 +4310,7 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
         
         // Fetch game from database
         const [gameRows] = await connection.execute(
-            'SELECT id, room_code, status, game_state FROM games WHERE room_code = ?',
+            'SELECT id, room_code, status, state_version, game_state FROM games WHERE room_code = ?',
             [roomId]
         );
         
@@ -1921,6 +4324,8 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
         const gameState = gameData.game_state; // MySQL automatically parses JSON columns
         
         const isIntentionalLeave = reason === 'intentional_leave';
+        const isOutOfTime = reason === 'out_of_time'; // Time bank ran out: a forfeit, never a bot takeover
+        const isAfk = reason === 'afk'; // Removed for inactivity (afkTurnLimit or lobbyIdleSeconds)
         console.log(`Player ${playerId} ${isIntentionalLeave ? 'left' : 'disconnected from'} room ${roomId}`);
         
         if (gameData.status === 'waiting') {
@@ -1995,10 +4400,15 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
                 console.log(`Removed player ${playerId} (user_id: ${userId}) from game_participants table`);
             }
             
-            // Handle host reassignment if needed
+            // Bots cannot keep a room open on their own
+            if (!gameState.players.some(player => !player.isBot)) {
+                gameState.players = [];
+            }
+            
+            // Handle host reassignment if needed (bots never become host)
             let newHost = null;
             if (gameState.host === playerId && gameState.players.length > 0) {
-                newHost = gameState.players[0].id;
+                newHost = gameState.players.find(player => !player.isBot).id;
                 gameState.host = newHost;
                 console.log(`Host ${playerId} disconnected. New host assigned: ${newHost}`);
             }
@@ -2007,17 +4417,20 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
             if (gameState.players.length === 0) {
                 // Delete all related data
                 await connection.execute('DELETE FROM game_participants WHERE game_id = ?', [gameData.id]);
-                await connection.execute('DELETE FROM games WHERE id = ?', [gameData.id]);
+                const [deleteRoomResult] = await connection.execute(
+                    'DELETE FROM games WHERE id = ? AND state_version = ?',
+                    [gameData.id, gameData.state_version]
+                );
+                if (deleteRoomResult.affectedRows === 0) {
+                    throw createStateConflictError(roomId);
+                }
                 await connection.commit();
                 console.log(`Room ${roomId} completely deleted - no players remaining`);
                 return;
             }
             
             // Update game state in database
-            await connection.execute(
-                'UPDATE games SET game_state = ? WHERE id = ?',
-                [JSON.stringify(gameState), gameData.id]
-            );
+            await saveGameState(connection, gameData, gameState);
             
             // Commit all database changes
             await connection.commit();
@@ -2028,12 +4441,16 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
             io.to(roomId).emit('gameUpdate', roomState);
             
             // Broadcast player disconnection message
-            const disconnectMessage = isIntentionalLeave ? 
+            let disconnectMessage = isIntentionalLeave ? 
                 `${playerId} has left the room` : 
                 `${playerId} has disconnected`;
+            if (isAfk) {
+                disconnectMessage = `${playerId} was removed from the lobby for being idle`;
+            }
             
             io.to(roomId).emit('playerDisconnected', { 
                 playerId,
+                reason,
                 message: disconnectMessage,
                 remainingPlayers: gameState.players.length
             });
@@ -2049,50 +4466,63 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
             console.log(`Successfully processed disconnect for player ${playerId} from waiting room ${roomId}`);
             
         } else if (gameData.status === 'in_progress' && activeGames[roomId]) {
-            // Game is in progress - get from cache and mark player as inactive
-            const gameState = activeGames[roomId];
-            const playerIndex = gameState.players.findIndex(p => p.id === playerId);
+            // Game is in progress - either a bot takes over the seat (botTakeover setting),
+            // or the player is marked inactive through the engine so the leave is
+            // recorded in the action log like any other move
+            const previousState = activeGames[roomId];
+            const playerIndex = previousState.players.findIndex(p => p.id === playerId);
+            const isHumanConnected = p => !p.isBot && !p.botControlled && p.isActive !== false;
+            const isTakeover = !isIntentionalLeave && !isOutOfTime && !isAfk && playerIndex !== -1 &&
+                getRoomSettings(previousState).botTakeover &&
+                previousState.players.some(p => p.id !== playerId && isHumanConnected(p));
+            
+            let gameState = null;
+            if (isTakeover) {
+                // The seat keeps its hand and turn; joinRoom hands it back to the player
+                gameState = {
+                    ...previousState,
+                    players: previousState.players.map(p => p.id === playerId ? { ...p, botControlled: true } : p)
+                };
+                console.log(`Bot took over ${playerId}'s seat in room ${roomId}`);
+            } else if (playerIndex !== -1) {
+                gameState = GameEngine.applyAction(previousState, { type: 'leave', playerId });
+            }
             
-            if (playerIndex !== -1) {
-                // Mark player as inactive
-                gameState.players[playerIndex].isActive = false;
-                
-                // Clear any limbo state if disconnected player was in limbo
-                if (gameState.playableDrawnCard && gameState.playableDrawnCard.playerId === playerId) {
-                    gameState.playableDrawnCard = null;
+            // Bots do not play on among themselves once every human has left
+            if (gameState && !gameState.error && !gameState.players.some(isHumanConnected)) {
+                for (const bot of gameState.players.filter(isBotSeat)) {
+                    if (gameState.isGameOver) {
+                        break;
+                    }
+                    gameState = GameEngine.applyAction(gameState, { type: 'leave', playerId: bot.id });
                 }
+            }
+            
+            if (gameState && !gameState.error) {
+                // The next player's clock starts if the turn moved on
+                gameState = { ...gameState, ...getTurnClock(previousState, gameState, { type: 'leave', playerId }) };
+                gameState = { ...gameState, ...getHeldSeatClock(gameState) };
                 
-                // If it was the disconnected player's turn, advance to next active player
-                const wasCurrentPlayer = gameState.currentPlayerIndex === playerIndex;
-                if (wasCurrentPlayer) {
-                    const nextPlayerIndex = getNextActivePlayerIndex(gameState);
-                    gameState.currentPlayerIndex = nextPlayerIndex;
-                    
+                // If it was the disconnected player's turn, the engine moved on to the next active player
+                const wasCurrentPlayer = previousState.currentPlayerIndex === playerIndex;
+                if (wasCurrentPlayer && !isTakeover) {
                     // Broadcast turn change to inform all players
                     socket.to(roomId).emit('turnChanged', {
-                        currentPlayerIndex: nextPlayerIndex,
-                        currentPlayerId: gameState.players[nextPlayerIndex]?.id,
+                        currentPlayerIndex: gameState.currentPlayerIndex,
+                        currentPlayerId: gameState.players[gameState.currentPlayerIndex]?.id,
                         reason: 'Player disconnected'
                     });
                 }
                 
-                // Check if only one active player remains
-                const activePlayers = gameState.players.filter(p => p.isActive !== false);
-                if (activePlayers.length <= 1) {
-                    // End the game - last active player wins
-                    gameState.isGameOver = true;
-                    gameState.winner = activePlayers.length === 1 ? activePlayers[0].id : null;
-                    
+                // The engine ends the game when only one active player remains
+                if (gameState.isGameOver) {
                     // Remove from cache and update database with completed status
+                    // (after any write of the running game that is still in flight)
                     delete activeGames[roomId];
-                    
-                    // Get winner's user ID for database update
-                    const winnerId = gameState.winner ? await getUserId(gameState.winner) : null;
-                    
-                    await connection.execute(
-                        'UPDATE games SET status = ?, game_state = ?, winner_id = ? WHERE id = ?',
-                        ['completed', JSON.stringify(gameState), winnerId, gameData.id]
-                    );
+                    delete lastJumpIns[roomId];
+                    updateGameStateInDB(roomId, gameState).catch(error => {
+                        console.error('Error updating database after disconnect:', error);
+                    });
                     
                     // Update player statistics asynchronously
                     const allPlayerIds = gameState.players.map(player => player.id);
@@ -2100,21 +4530,30 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
                         console.error('Error updating player statistics after disconnect:', error);
                     });
                     
-                    socket.to(roomId).emit('gameOver', {
+                    const gameOver = {
                         winnerId: gameState.winner,
-                        reason: isIntentionalLeave ? 'Player forfeited' : 'Other players disconnected',
+                        reason: isOutOfTime ? 'Player ran out of time' :
+                            isAfk ? 'Player removed for inactivity' :
+                            (isIntentionalLeave ? 'Player forfeited' : 'Other players disconnected'),
                         message: gameState.winner ? 
                             `🎉 ${gameState.winner} wins by default!` : 
                             'Game ended - all players have left',
-                        originalHost: gameData.original_host
-                    });
+                        originalHost: gameData.original_host,
+                        fairness: getShuffleReveal(gameState)
+                    };
+                    socket.to(roomId).emit('gameOver', gameOver);
+                    emitToSpectators(roomId, gameState, 'gameOver', gameOver);
                 } else {
                     // Update cache and asynchronously update database
                     activeGames[roomId] = gameState;
                     updateGameStateInDB(roomId, gameState).catch(error => {
                         console.error('Error updating database after disconnect:', error);
                     });
+                    
+                    // The turn may have passed to a bot
+                    scheduleBotAction(roomId);
                 }
+                scheduleTurnTimer(roomId);
                 
                 // Commit transaction
                 await connection.commit();
@@ -2122,11 +4561,25 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
                 // Broadcast updated game state
                 const roomState = getRoomStateForClient(gameState, roomId);
                 socket.to(roomId).emit('gameUpdate', roomState);
+                sendPrivateUpdates(roomId, gameState);
+                broadcastToSpectators(roomId, gameState);
+                let disconnectMessage = isIntentionalLeave ? 
+                    `${playerId} has forfeited the game and will be skipped` : 
+                    `${playerId} has disconnected and will be skipped`;
+                if (isTakeover) {
+                    disconnectMessage = `${playerId} has disconnected - a bot is playing for them until they return`;
+                }
+                if (isOutOfTime) {
+                    disconnectMessage = `${playerId} ran out of time and is out of the game`;
+                }
+                if (isAfk) {
+                    disconnectMessage = `${playerId} was removed for being inactive`;
+                }
                 socket.to(roomId).emit('playerDisconnected', { 
                     playerId,
-                    message: isIntentionalLeave ? 
-                        `${playerId} has forfeited the game and will be skipped` : 
-                        `${playerId} has disconnected and will be skipped`
+                    reason,
+                    botTakeover: isTakeover,
+                    message: disconnectMessage
                 });
             } else {
                 await connection.rollback();
@@ -2139,6 +4592,9 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
         if (connection) {
             await connection.rollback();
         }
+        if (isStateConflict(error)) {
+            throw error; // Retried by the room's action queue
+        }
         console.error('Error handling player disconnect:', error);
     } finally {
         if (connection) {
@@ -2147,30 +4603,6 @@ async function handlePlayerDisconnect(roomId, playerId, socket, reason = 'discon
     }
 }
 
-/**
- * Gets the next active player index, skipping inactive players
- * @param {Object} gameState - Current game state
- * @returns {number} Index of next active player
- */
-function getNextActivePlayerIndex(gameState) {
-    const { currentPlayerIndex, directionOfPlay, players } = gameState;
-    const totalPlayers = players.length;
-    let nextIndex = currentPlayerIndex;
-    let attempts = 0;
-    
-    do {
-        nextIndex = (nextIndex + directionOfPlay + totalPlayers) % totalPlayers;
-        attempts++;
-        
-        // Prevent infinite loop if all players are inactive
-        if (attempts >= totalPlayers) {
-            return currentPlayerIndex;
-        }
-    } while (players[nextIndex].isActive === false);
-    
-    return nextIndex;
-}
-
 /**
  * Converts room data to client-safe format with enriched player data
  * @param {Object} gameState - Game state object (either lobby state or active game state)
@@ -2181,7 +4613,7 @@ function getRoomStateForClient(gameState, roomId) {
     /**
      * Helper function to enrich player data with basic info
      * @param {Object} player - Player object with at least an id
-     * @returns {Object} Basic player object with { id, name, avatar, handSize?, isActive? }
+     * @returns {Object} Basic player object with { id, name, avatar, handSize?, isActive?, isBot?, botLevel?, botControlled?, reconnecting?, timeBankMs? }
      */
     function enrichPlayerData(player) {
         return {
@@ -2189,7 +4621,11 @@ function getRoomStateForClient(gameState, roomId) {
             name: player.name || player.id, // Use player.name if available, fallback to id (username)
             avatar: player.avatar || 'public/assets/images/avatar/exported avatar/ava-1.svg', // Use player.avatar if available, fallback to default
             ...(player.hand !== undefined && { handSize: player.hand.length }),
-            ...(player.isActive !== undefined && { isActive: player.isActive })
+            ...(player.isActive !== undefined && { isActive: player.isActive }),
+            ...(player.isBot && { isBot: true, botLevel: player.botLevel }),
+            ...(player.botControlled && { botControlled: true }),
+            ...(player.reconnectDeadline && { reconnecting: true, reconnectDeadline: player.reconnectDeadline }),
+            ...(gameState.timeBanks && player.id in gameState.timeBanks && { timeBankMs: getRemainingTimeBank(gameState, player.id) })
         };
     }
     // Check if this is a lobby/waiting state (has status property)
@@ -2201,6 +4637,9 @@ function getRoomStateForClient(gameState, roomId) {
             players: gameState.players.map(player => enrichPlayerData(player)),
             playerCount: gameState.players.length,
             maxPlayers: gameState.maxPlayers,
+            rules: gameState.rules || GameEngine.createRules(),
+            settings: getRoomSettings(gameState),
+            spectatorCount: getSpectatorCount(roomId),
             canStart: gameState.players.length >= 2
         };
     }
@@ -2219,8 +4658,23 @@ function getRoomStateForClient(gameState, roomId) {
             drawPileSize: gameState.drawPile.length,
             isGameOver: gameState.isGameOver,
             winner: gameState.winner,
-            playableDrawnCard: gameState.playableDrawnCard || null,
-            unoPlayerId: gameState.unoPlayerId || null
+            playableDrawnCard: gameState.playableDrawnCard ? { playerId: gameState.playableDrawnCard.playerId } : null, // The card itself only goes out in that player's handUpdate
+            unoPlayerId: gameState.unoPlayerId || null,
+            pendingDrawPenalty: gameState.pendingDrawPenalty || 0,
+            lastDraw: gameState.lastDraw || null,
+            turnDeadline: gameState.turnClockPausedAt ? null : gameState.turnDeadline || null, // When the current turn times out (turnTimerSeconds setting)
+            round: gameState.round || 1,
+            scores: gameState.scores || {},
+            roundHistory: gameState.roundHistory || [],
+            shuffleCommitment: gameState.shuffleCommitment || null,
+            fairness: gameState.isGameOver ? getShuffleReveal(gameState) : null, // Seed is only revealed after the game
+            drawFourChallenge: gameState.drawFourChallenge ? {
+                playerId: gameState.drawFourChallenge.playerId,
+                targetPlayerId: gameState.drawFourChallenge.targetPlayerId
+            } : null, // Never expose whether the card was legal
+            rules: gameState.rules || GameEngine.createRules(),
+            settings: getRoomSettings(gameState),
+            spectatorCount: getSpectatorCount(roomId)
         };
     }
     
@@ -2235,10 +4689,17 @@ function getRoomStateForClient(gameState, roomId) {
 
 /**
  * Updates player statistics in the database when a game is completed
+ * Bot players are left out: they are not users and have no statistics.
  * @param {string} winnerUsername - The username of the winning player
  * @param {Array<string>} allPlayerUsernames - Array of all player usernames who participated
  */
 async function updatePlayerStats(winnerUsername, allPlayerUsernames) {
+    // Bots have no user account and never get statistics
+    if (BotPlayer.isBotId(winnerUsername)) {
+        winnerUsername = null;
+    }
+    allPlayerUsernames = allPlayerUsernames.filter(username => !BotPlayer.isBotId(username));
+    
     let connection;
     try {
         connection = await dbPool.getConnection();
@@ -2280,38 +4741,61 @@ async function updatePlayerStats(winnerUsername, allPlayerUsernames) {
     }
 }
 
-// Load active games into cache on server startup
-loadActiveGamesIntoCache();
-
-// Start the HTTP server
-httpServer.listen(PORT, () => {
-    console.log('='.repeat(80));
-    console.log('🎮 UNO Backend server is running on port', PORT);
-    console.log('📡 Server URL: http://localhost:' + PORT);
-    console.log('🔌 WebSocket endpoint: ws://localhost:' + PORT);
-    console.log('');
-    console.log('🛠️  Available API endpoints:');
-    console.log('  GET  /api/status                    - Server status');
-    console.log('  POST /api/auth/register             - Register new user account');
-    console.log('  POST /api/auth/login                - Login user account');
-    console.log('  GET  /api/rooms                     - List all active rooms');
-    console.log('  POST /api/rooms/create              - Create new game room');
-    console.log('  POST /api/rooms/:roomId/join        - Join existing room');
-    console.log('  GET  /api/rooms/:roomId             - Get room state');
-    console.log('  GET  /api/rooms/:roomId/hand/:playerId - Get player hand');
-    console.log('');
-    console.log('🎯 WebSocket events:');
-    console.log('  joinRoom         - Join a game room');
-    console.log('  startGame        - Start the game (host only)');
-    console.log('  playCard         - Play a card');
-    console.log('  drawCard         - Draw a card');
-    console.log('  playDrawnCard    - Play a card that was just drawn');
-    console.log('  passDrawnCard    - Pass on a card that was just drawn');
-    console.log('  player:callUno   - Call UNO on a player (penalty)');
-    console.log('  player:callUnoSelf - Call UNO on yourself (self-declaration)');
-    console.log('  restartGame      - Restart completed game (host only)');
-    console.log('');
-    console.log('💾 User accounts and game rooms are stored persistently in MySQL database.');
-    console.log('⚡ Active games are cached in memory for optimal performance.');
-    console.log('='.repeat(80));
-});
\ No newline at end of file
+// Internals exercised by the tests in test/ (requiring this file does not start the server)
+module.exports = {
+    dbPool,
+    activeGames,
+    updateGameStateInDB,
+    writeGameStateToDB
+};
+
+if (require.main === module) {
+    // Load active games into cache on server startup
+    loadActiveGamesIntoCache();
+    
+    // Clear idle players out of waiting lobbies
+    setInterval(sweepIdleLobbyPlayers, LOBBY_IDLE_SWEEP_MS);
+    
+    // Start the HTTP server
+    httpServer.listen(PORT, () => {
+        console.log('='.repeat(80));
+        console.log('🎮 UNO Backend server is running on port', PORT);
+        console.log('📡 Server URL: http://localhost:' + PORT);
+        console.log('🔌 WebSocket endpoint: ws://localhost:' + PORT);
+        console.log('');
+        console.log('🛠️  Available API endpoints:');
+        console.log('  GET  /api/status                    - Server status');
+        console.log('  POST /api/auth/register             - Register new user account');
+        console.log('  POST /api/auth/login                - Login user account (returns session token)');
+        console.log('  POST /api/auth/logout               - End the current session');
+        console.log('  POST /api/auth/revoke               - End all sessions of the user');
+        console.log('  GET  /api/rooms                     - List all active rooms');
+        console.log('  POST /api/rooms/create              - Create new game room');
+        console.log('  POST /api/rooms/:roomId/join        - Join existing room (password or invite for private rooms)');
+        console.log('  POST /api/rooms/:roomId/invites     - Create an invite (host only)');
+        console.log('  DELETE /api/rooms/:roomId/invites/:inviteId - Revoke an invite (host only)');
+        console.log('  GET  /api/rooms/:roomId             - Get room state');
+        console.log('  GET  /api/rooms/:roomId/hand/:playerId - Get your own hand (login required)');
+        console.log('  POST /api/fairness/verify           - Verify a revealed shuffle seed');
+        console.log('');
+        console.log('🎯 WebSocket events:');
+        console.log('  joinRoom         - Join a game room');
+        console.log('  spectateRoom / stopSpectating - Watch a running game');
+        console.log('  addBot / removeBot - Add or remove a bot in the lobby (host only)');
+        console.log('  updateRoomSettings - Change max players, rules and settings in the lobby (host only)');
+        console.log('  kickPlayer / banPlayer - Remove a player from the lobby (host only)');
+        console.log('  startGame        - Start the game (host only)');
+        console.log('  playCard         - Play a card');
+        console.log('  drawCard         - Draw a card');
+        console.log('  playDrawnCard    - Play a card that was just drawn');
+        console.log('  passDrawnCard    - Pass on a card that was just drawn');
+        console.log('  player:callUno   - Call UNO on a player (penalty)');
+        console.log('  player:callUnoSelf - Call UNO on yourself (self-declaration)');
+        console.log('  challengeDrawFour - Challenge a Wild Draw Four as a bluff');
+        console.log('  restartGame      - Restart completed game (host only)');
+        console.log('');
+        console.log('💾 User accounts and game rooms are stored persistently in MySQL database.');
+        console.log('⚡ Active games are cached in memory for optimal performance.');
+        console.log('='.repeat(80));
+    });
+}
@@ -0,0 +1,679 @@
+/**
+ * GameEngine behavior tests
+ *
+ * Run with `npm test` (node's built-in test runner). Rule tests start from a seeded
+ * game and replace the hands and discard pile with the cards the scenario needs.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createRules,
+    createGameState,
+    applyAction,
+    replay,
+    getLegalMoves,
+    getDeckOrder,
+    verifyShuffle
+} = require('../game-logic/GameEngine');
+const { chooseBotAction } = require('../game-logic/BotPlayer');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Builds a card object
+ * @param {string|null} color - Card color (null for wilds)
+ * @param {string} value - Card value ('5', 'draw2', 'wild_draw4', ...)
+ * @returns {Object} Card object
+ */
+function card(color, value) {
+    const type = color === null ? 'wild' : (/^\d$/.test(value) ? 'number' : 'action');
+    return { color, value, type };
+}
+
+/**
+ * Creates a seeded game with the given hands and top card, with the first player to move
+ * @param {Object} hands - Hand per player ID, in seating order
+ * @param {Object} topCard - Card on top of the discard pile
+ * @param {Object} rules - House rules for the game
+ * @returns {Object} Game state
+ */
+function setUpGame(hands, topCard, rules = {}) {
+    const gameState = createGameState(Object.keys(hands), rules, 'test-seed');
+    return {
+        ...gameState,
+        players: gameState.players.map(player => ({ ...player, hand: hands[player.id] })),
+        discardPile: [topCard],
+        currentColor: topCard.color,
+        currentPlayerIndex: 0,
+        directionOfPlay: 1
+    };
+}
+
+/**
+ * Gets a player's hand from a game state
+ * @param {Object} gameState - Game state
+ * @param {string} playerId - Player ID
+ * @returns {Array} The player's hand
+ */
+function handOf(gameState, playerId) {
+    return gameState.players.find(player => player.id === playerId).hand;
+}
+
+/**
+ * Gets the ID of the player whose turn it is
+ * @param {Object} gameState - Game state
+ * @returns {string} Current player ID
+ */
+function currentPlayerId(gameState) {
+    return gameState.players[gameState.currentPlayerIndex].id;
+}
+
+/**
+ * Creates a deterministic random() for bots (mulberry32)
+ * @param {number} seed - Generator seed
+ * @returns {Function} Function returning a number in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Lets hard bots play a seeded game until it ends
+ * @param {Array} playerIds - Bot player IDs
+ * @param {Object} rules - House rules for the game
+ * @param {string} seed - Shuffle seed
+ * @returns {Object} Final game state
+ */
+function playBotGame(playerIds, rules, seed) {
+    const random = seededRandom(7);
+    let gameState = createGameState(playerIds, rules, seed);
+    
+    for (let step = 0; step < 2000 && !gameState.isGameOver; step++) {
+        const actions = playerIds
+            .map(playerId => chooseBotAction(gameState, playerId, 'hard', random))
+            .filter(Boolean);
+        assert.ok(actions.length > 0, 'some bot must be able to act');
+        
+        const result = applyAction(gameState, actions[0]);
+        assert.equal(result.error, undefined);
+        gameState = result;
+    }
+    
+    assert.ok(gameState.isGameOver, 'bot game should finish');
+    return gameState;
+}
+
+// ============================================================================
+// SEEDED SHUFFLE AND COMMITMENT
+// ============================================================================
+
+describe('seeded shuffle', () => {
+    it('deals the same game for the same seed', () => {
+        const first = createGameState(['alice', 'bob', 'carol'], {}, 'seed-1');
+        const second = createGameState(['alice', 'bob', 'carol'], {}, 'seed-1');
+        assert.deepEqual(first, second);
+    });
+    
+    it('deals a different game for a different seed', () => {
+        assert.notDeepEqual(getDeckOrder('seed-1'), getDeckOrder('seed-2'));
+    });
+    
+    it('deals hands in deck order', () => {
+        const gameState = createGameState(['alice', 'bob'], {}, 'seed-1');
+        const deckOrder = getDeckOrder('seed-1');
+        assert.equal(deckOrder.length, 108);
+        assert.deepEqual(handOf(gameState, 'alice'), deckOrder.slice(0, 7));
+        assert.deepEqual(handOf(gameState, 'bob'), deckOrder.slice(7, 14));
+    });
+    
+    it('publishes a commitment that only the real seed verifies', () => {
+        const gameState = createGameState(['alice', 'bob'], {}, 'seed-1');
+        assert.equal(verifyShuffle('seed-1', gameState.shuffleCommitment).valid, true);
+        assert.equal(verifyShuffle('seed-1', gameState.shuffleCommitment.toUpperCase()).valid, true);
+        assert.equal(verifyShuffle('seed-2', gameState.shuffleCommitment).valid, false);
+        assert.equal(verifyShuffle('seed-1', null).valid, false);
+    });
+});
+
+// ============================================================================
+// ACTION REDUCER AND REPLAY
+// ============================================================================
+
+describe('applyAction', () => {
+    it('logs accepted actions', () => {
+        const gameState = setUpGame({ alice: [card('red', '1'), card('red', '2')], bob: [card('blue', '3')] }, card('red', '5'));
+        const result = applyAction(gameState, { type: 'play', playerId: 'alice', card: card('red', '1') });
+        
+        assert.equal(result.error, undefined);
+        assert.deepEqual(result.actionLog.slice(1), [
+            { type: 'play', playerId: 'alice', card: card('red', '1'), chosenColor: null, swapTargetId: null }
+        ]);
+        assert.equal(currentPlayerId(result), 'bob');
+    });
+    
+    it('rejects invalid actions without logging them', () => {
+        const gameState = setUpGame({ alice: [card('red', '1')], bob: [card('blue', '3')] }, card('red', '5'));
+        
+        assert.deepEqual(applyAction(gameState, null), { error: 'Action must be an object' });
+        assert.deepEqual(applyAction(gameState, { type: 'dance', playerId: 'alice' }), { error: 'Unknown action type: dance' });
+        assert.deepEqual(applyAction(gameState, { type: 'draw', playerId: 'bob' }), { error: 'Not your turn' });
+        assert.deepEqual(
+            applyAction(gameState, { type: 'play', playerId: 'alice', card: card('green', '1') }),
+            { error: 'Card not in hand' }
+        );
+        assert.equal(gameState.actionLog.length, 1);
+    });
+});
+
+describe('replay', () => {
+    it('rebuilds a finished game from its seed and action log', () => {
+        const rules = { stacking: true, sevenO: true };
+        const finalState = playBotGame(['bot-1', 'bot-2', 'bot-3'], rules, 'replay-seed');
+        
+        assert.deepEqual(replay('replay-seed', finalState.actionLog), finalState);
+    });
+    
+    it('rebuilds the game as it was partway through', () => {
+        const finalState = playBotGame(['bot-1', 'bot-2'], {}, 'replay-seed');
+        const partial = replay('replay-seed', finalState.actionLog.slice(0, 4));
+        
+        assert.equal(partial.error, undefined);
+        assert.equal(partial.actionLog.length, 4);
+        assert.equal(partial.isGameOver, false);
+    });
+    
+    it('reports a log without a start action or with a bad action', () => {
+        assert.deepEqual(replay('seed-1', []), { error: 'Action log must begin with a start action' });
+        
+        const gameState = createGameState(['alice', 'bob'], {}, 'seed-1');
+        const result = replay('seed-1', [...gameState.actionLog, { type: 'draw', playerId: 'bob' }]);
+        assert.deepEqual(result, { error: 'Action 1 (draw) failed: Not your turn' });
+    });
+});
+
+describe('leave action', () => {
+    const hands = () => ({
+        alice: [card('red', '1'), card('red', '2')],
+        bob: [card('blue', '3'), card('blue', '4')],
+        carol: [card('yellow', '3'), card('yellow', '4')]
+    });
+    
+    it('marks the player inactive and skips them from then on', () => {
+        let gameState = applyAction(setUpGame(hands(), card('red', '5')), { type: 'leave', playerId: 'bob' });
+        
+        assert.equal(gameState.players.find(player => player.id === 'bob').isActive, false);
+        assert.equal(currentPlayerId(gameState), 'alice');
+        
+        gameState = applyAction(gameState, { type: 'play', playerId: 'alice', card: card('red', '1') });
+        assert.equal(currentPlayerId(gameState), 'carol');
+    });
+    
+    it('passes the turn on and drops a penalty aimed at the leaving player', () => {
+        const gameState = applyAction(
+            { ...setUpGame(hands(), card('red', '5'), { stacking: true }), pendingDrawPenalty: 4, playableDrawnCard: { card: card('red', '8'), playerId: 'alice' } },
+            { type: 'leave', playerId: 'alice' }
+        );
+        
+        assert.equal(currentPlayerId(gameState), 'bob');
+        assert.equal(gameState.pendingDrawPenalty, 0);
+        assert.equal(gameState.playableDrawnCard, null);
+        assert.equal(handOf(gameState, 'bob').length, 2);
+    });
+    
+    it('ends the game when one active player is left', () => {
+        let gameState = applyAction(setUpGame(hands(), card('red', '5')), { type: 'leave', playerId: 'bob' });
+        gameState = applyAction(gameState, { type: 'leave', playerId: 'alice' });
+        
+        assert.equal(gameState.isGameOver, true);
+        assert.equal(gameState.winner, 'carol');
+    });
+    
+    it('rejects unknown players and players who already left', () => {
+        const gameState = applyAction(setUpGame(hands(), card('red', '5')), { type: 'leave', playerId: 'bob' });
+        
+        assert.deepEqual(applyAction(gameState, { type: 'leave', playerId: 'bob' }), { error: 'Player has already left the game' });
+        assert.deepEqual(applyAction(gameState, { type: 'leave', playerId: 'dave' }), { error: 'Player not found' });
+    });
+});
+
+// ============================================================================
+// LEGAL MOVES
+// ============================================================================
+
+describe('getLegalMoves', () => {
+    const hands = () => ({
+        alice: [card('red', '1'), card('blue', '1'), card(null, 'wild')],
+        bob: [card('blue', '3'), card('green', '4')],
+        carol: [card('yellow', '3')]
+    });
+    
+    it('lists matching cards, each wild color and drawing on your turn', () => {
+        const moves = getLegalMoves(setUpGame(hands(), card('red', '5')), 'alice');
+        
+        assert.deepEqual(moves, [
+            { type: 'play', playerId: 'alice', card: card('red', '1'), chosenColor: null, swapTargetId: null },
+            ...['red', 'yellow', 'green', 'blue'].map(chosenColor => (
+                { type: 'play', playerId: 'alice', card: card(null, 'wild'), chosenColor, swapTargetId: null }
+            )),
+            { type: 'draw', playerId: 'alice' }
+        ]);
+    });
+    
+    it('lists nothing out of turn, after the game or for unknown players', () => {
+        const gameState = setUpGame(hands(), card('red', '5'));
+        
+        assert.deepEqual(getLegalMoves(gameState, 'bob'), []);
+        assert.deepEqual(getLegalMoves(gameState, 'dave'), []);
+        assert.deepEqual(getLegalMoves({ ...gameState, isGameOver: true }, 'alice'), []);
+    });
+    
+    it('offers playing or keeping a drawn card instead of drawing again', () => {
+        const gameState = { ...setUpGame(hands(), card('red', '5')), playableDrawnCard: { card: card('red', '8'), playerId: 'alice' } };
+        
+        assert.deepEqual(getLegalMoves(gameState, 'alice'), [
+            { type: 'playDrawn', playerId: 'alice', card: card('red', '8'), chosenColor: null, swapTargetId: null },
+            { type: 'passDrawn', playerId: 'alice' }
+        ]);
+    });
+    
+    it('offers a challenge or the draw to the target of a Wild Draw Four', () => {
+        const gameState = applyAction(
+            setUpGame({ ...hands(), alice: [card(null, 'wild_draw4'), card('red', '1'), card('red', '2')] }, card('red', '5'), { drawFourChallenge: true }),
+            { type: 'play', playerId: 'alice', card: card(null, 'wild_draw4'), chosenColor: 'blue' }
+        );
+        
+        assert.deepEqual(getLegalMoves(gameState, 'bob'), [
+            { type: 'draw', playerId: 'bob' },
+            { type: 'challengeDrawFour', playerId: 'bob' }
+        ]);
+    });
+    
+    it('offers UNO calls to the vulnerable player and to everyone else', () => {
+        const gameState = { ...setUpGame(hands(), card('red', '5')), unoPlayerId: 'carol' };
+        
+        assert.deepEqual(getLegalMoves(gameState, 'carol'), [{ type: 'callUnoSelf', playerId: 'carol' }]);
+        assert.deepEqual(getLegalMoves(gameState, 'bob'), [{ type: 'callUno', playerId: 'bob', targetPlayerId: 'carol' }]);
+    });
+    
+    it('only lists moves the engine accepts', () => {
+        const finalState = playBotGame(['bot-1', 'bot-2', 'bot-3'], { stacking: true, sevenO: true, jumpIn: true }, 'legal-moves-seed');
+        
+        for (let n = 2; n <= Math.min(finalState.actionLog.length, 40); n++) {
+            const gameState = replay('legal-moves-seed', finalState.actionLog.slice(0, n));
+            for (const player of gameState.players) {
+                for (const move of getLegalMoves(gameState, player.id)) {
+                    assert.equal(applyAction(gameState, move).error, undefined, JSON.stringify(move));
+                }
+            }
+        }
+    });
+});
+
+// ============================================================================
+// HOUSE RULES
+// ============================================================================
+
+describe('createRules', () => {
+    it('fills in the official rules for anything not overridden', () => {
+        const rules = createRules({ stacking: true, startingHandSize: 5 });
+        
+        assert.equal(rules.stacking, true);
+        assert.equal(rules.startingHandSize, 5);
+        assert.equal(rules.drawFourChallenge, false);
+        assert.equal(rules.playAfterDraw, true);
+        assert.equal(rules.targetScore, 500);
+        assert.deepEqual(createRules(), { ...rules, stacking: false, startingHandSize: 7 });
+    });
+    
+    it('rejects unknown rules, wrong types and out-of-range values', () => {
+        assert.deepEqual(createRules(null), { error: 'Rules must be an object' });
+        assert.deepEqual(createRules([]), { error: 'Rules must be an object' });
+        assert.deepEqual(createRules({ stackng: true }), { error: 'Unknown rule: stackng' });
+        assert.deepEqual(createRules({ stacking: 'yes' }), { error: 'Rule stacking must be a boolean' });
+        assert.deepEqual(createRules({ startingHandSize: 0 }), { error: 'startingHandSize must be a whole number between 1 and 10' });
+        assert.deepEqual(createRules({ startingHandSize: 7.5 }), { error: 'startingHandSize must be a whole number between 1 and 10' });
+        assert.deepEqual(createRules({ targetScore: 0 }), { error: 'targetScore must be a positive whole number' });
+    });
+    
+    it('gives every game its own rules and deals the starting hand size', () => {
+        const gameState = createGameState(['alice', 'bob'], { startingHandSize: 3 }, 'seed-1');
+        
+        assert.equal(gameState.rules.startingHandSize, 3);
+        assert.equal(handOf(gameState, 'alice').length, 3);
+        assert.throws(() => createGameState(['alice', 'bob'], { jumpin: true }), /Unknown rule: jumpin/);
+        assert.throws(() => createGameState(['alice']), /Game requires 2-10 players/);
+    });
+});
+
+describe('stacking rule', () => {
+    const hands = () => ({
+        alice: [card('red', 'draw2'), card('red', '1')],
+        bob: [card('blue', 'draw2'), card('green', '5')],
+        carol: [card('blue', '3'), card('yellow', '4')]
+    });
+    
+    it('passes a growing draw penalty on until someone draws it', () => {
+        let gameState = setUpGame(hands(), card('red', '4'), { stacking: true });
+        
+        gameState = applyAction(gameState, { type: 'play', playerId: 'alice', card: card('red', 'draw2') });
+        assert.equal(gameState.pendingDrawPenalty, 2);
+        assert.equal(currentPlayerId(gameState), 'bob');
+        
+        gameState = applyAction(gameState, { type: 'play', playerId: 'bob', card: card('blue', 'draw2') });
+        assert.equal(gameState.pendingDrawPenalty, 4);
+        assert.equal(currentPlayerId(gameState), 'carol');
+        
+        assert.match(
+            applyAction(gameState, { type: 'play', playerId: 'carol', card: card('blue', '3') }).error,
+            /must stack a matching draw card or draw 4 cards/
+        );
+        
+        gameState = applyAction(gameState, { type: 'draw', playerId: 'carol' });
+        assert.equal(handOf(gameState, 'carol').length, 6);
+        assert.equal(gameState.pendingDrawPenalty, 0);
+        assert.equal(currentPlayerId(gameState), 'alice');
+    });
+    
+    it('makes the next player draw straight away without the rule', () => {
+        const gameState = applyAction(
+            setUpGame(hands(), card('red', '4')),
+            { type: 'play', playerId: 'alice', card: card('red', 'draw2') }
+        );
+        
+        assert.equal(gameState.pendingDrawPenalty, 0);
+        assert.equal(handOf(gameState, 'bob').length, 4);
+        assert.equal(currentPlayerId(gameState), 'carol');
+    });
+});
+
+describe('drawFourChallenge rule', () => {
+    /**
+     * Has alice play a Wild Draw Four on a red 4 while holding the given card
+     * @param {Object} otherCard - The other card in alice's hand
+     * @returns {Object} Game state with the challenge window open for bob
+     */
+    function throwDrawFour(otherCard) {
+        const gameState = setUpGame({
+            alice: [card(null, 'wild_draw4'), otherCard, card('green', '9')],
+            bob: [card('blue', '3')],
+            carol: [card('yellow', '3')]
+        }, card('red', '4'), { drawFourChallenge: true });
+        
+        return applyAction(gameState, { type: 'play', playerId: 'alice', card: card(null, 'wild_draw4'), chosenColor: 'blue' });
+    }
+    
+    it('opens a challenge window for the next player only', () => {
+        const gameState = throwDrawFour(card('red', '1'));
+        
+        assert.equal(gameState.pendingDrawPenalty, 4);
+        assert.deepEqual(gameState.drawFourChallenge, { playerId: 'alice', targetPlayerId: 'bob', wasLegal: false });
+        assert.deepEqual(
+            applyAction(gameState, { type: 'challengeDrawFour', playerId: 'carol' }),
+            { error: 'Only the player hit by the Wild Draw Four can challenge it' }
+        );
+        assert.match(
+            applyAction(gameState, { type: 'play', playerId: 'bob', card: card('blue', '3') }).error,
+            /must challenge the Wild Draw Four or draw 4 cards/
+        );
+    });
+    
+    it('makes a caught bluffer draw 4 and lets the challenger play on', () => {
+        const gameState = applyAction(throwDrawFour(card('red', '1')), { type: 'challengeDrawFour', playerId: 'bob' });
+        
+        assert.equal(gameState.challengeResult.successful, true);
+        assert.equal(handOf(gameState, 'alice').length, 6);
+        assert.equal(handOf(gameState, 'bob').length, 1);
+        assert.equal(gameState.pendingDrawPenalty, 0);
+        assert.equal(gameState.drawFourChallenge, null);
+        assert.equal(currentPlayerId(gameState), 'bob');
+    });
+    
+    it('makes a wrong challenger draw 6 and lose the turn', () => {
+        const gameState = applyAction(throwDrawFour(card('blue', '1')), { type: 'challengeDrawFour', playerId: 'bob' });
+        
+        assert.equal(gameState.challengeResult.successful, false);
+        assert.equal(handOf(gameState, 'alice').length, 2);
+        assert.equal(handOf(gameState, 'bob').length, 7);
+        assert.equal(currentPlayerId(gameState), 'carol');
+    });
+    
+    it('drops the challenge result on the next action', () => {
+        const challenged = applyAction(throwDrawFour(card('red', '1')), { type: 'challengeDrawFour', playerId: 'bob' });
+        const gameState = applyAction(challenged, { type: 'play', playerId: 'bob', card: card('blue', '3') });
+        
+        assert.equal(gameState.error, undefined);
+        assert.equal('challengeResult' in gameState, false);
+    });
+    
+    it('lets the target accept the penalty by drawing', () => {
+        const gameState = applyAction(throwDrawFour(card('red', '1')), { type: 'draw', playerId: 'bob' });
+        
+        assert.equal(handOf(gameState, 'bob').length, 5);
+        assert.equal(gameState.drawFourChallenge, null);
+        assert.equal(currentPlayerId(gameState), 'carol');
+    });
+});
+
+describe('sevenO rule', () => {
+    const hands = () => ({
+        alice: [card('red', '7'), card('red', '0'), card('red', '1')],
+        bob: [card('blue', '3')],
+        carol: [card('yellow', '3'), card('yellow', '4')]
+    });
+    
+    it('requires a valid swap target for a 7', () => {
+        const gameState = setUpGame(hands(), card('red', '5'), { sevenO: true });
+        const play = swapTargetId => applyAction(gameState, { type: 'play', playerId: 'alice', card: card('red', '7'), swapTargetId });
+        
+        assert.deepEqual(play(undefined), { error: 'Must choose a player to swap hands with' });
+        assert.deepEqual(play('alice'), { error: 'Invalid swap target' });
+        assert.deepEqual(play('dave'), { error: 'Invalid swap target' });
+    });
+    
+    it('swaps hands with the chosen player on a 7', () => {
+        const gameState = applyAction(
+            setUpGame(hands(), card('red', '5'), { sevenO: true }),
+            { type: 'play', playerId: 'alice', card: card('red', '7'), swapTargetId: 'carol' }
+        );
+        
+        assert.deepEqual(handOf(gameState, 'alice'), [card('yellow', '3'), card('yellow', '4')]);
+        assert.deepEqual(handOf(gameState, 'carol'), [card('red', '0'), card('red', '1')]);
+        assert.deepEqual(handOf(gameState, 'bob'), [card('blue', '3')]);
+        assert.equal(currentPlayerId(gameState), 'bob');
+    });
+    
+    it('passes every hand on in the direction of play on a 0', () => {
+        const gameState = applyAction(
+            setUpGame(hands(), card('red', '5'), { sevenO: true }),
+            { type: 'play', playerId: 'alice', card: card('red', '0') }
+        );
+        
+        assert.deepEqual(handOf(gameState, 'bob'), [card('red', '7'), card('red', '1')]);
+        assert.deepEqual(handOf(gameState, 'carol'), [card('blue', '3')]);
+        assert.deepEqual(handOf(gameState, 'alice'), [card('yellow', '3'), card('yellow', '4')]);
+    });
+    
+    it('moves the UNO flag with the one-card hand', () => {
+        const gameState = applyAction(
+            setUpGame({ alice: [card('red', '7'), card('red', '1')], bob: [card('blue', '3'), card('blue', '4')] }, card('red', '5'), { sevenO: true }),
+            { type: 'play', playerId: 'alice', card: card('red', '7'), swapTargetId: 'bob' }
+        );
+        
+        assert.deepEqual(handOf(gameState, 'bob'), [card('red', '1')]);
+        assert.equal(gameState.unoPlayerId, 'bob');
+    });
+    
+    it('needs no target when the 7 is the last card', () => {
+        const gameState = applyAction(
+            setUpGame({ alice: [card('red', '7')], bob: [card('blue', '3')] }, card('red', '5'), { sevenO: true }),
+            { type: 'play', playerId: 'alice', card: card('red', '7') }
+        );
+        
+        assert.equal(gameState.isGameOver, true);
+        assert.equal(gameState.winner, 'alice');
+    });
+    
+    it('leaves hands alone without the rule', () => {
+        const gameState = applyAction(setUpGame(hands(), card('red', '5')), { type: 'play', playerId: 'alice', card: card('red', '0') });
+        
+        assert.deepEqual(handOf(gameState, 'alice'), [card('red', '7'), card('red', '1')]);
+        assert.deepEqual(handOf(gameState, 'bob'), [card('blue', '3')]);
+    });
+});
+
+describe('drawUntilPlayable rule', () => {
+    const drawPile = () => [card('green', '2'), card('yellow', '3'), card('red', '9'), card('blue', '4')];
+    
+    /**
+     * Sets up a game where alice has to draw on a red 5
+     * @param {Object} rules - House rules for the game
+     * @returns {Object} Game state with a known draw pile
+     */
+    function setUpDraw(rules) {
+        return { ...setUpGame({ alice: [card('blue', '1')], bob: [card('blue', '3')] }, card('red', '5'), rules), drawPile: drawPile() };
+    }
+    
+    it('draws until a playable card turns up and offers it', () => {
+        const gameState = applyAction(setUpDraw({ drawUntilPlayable: true }), { type: 'draw', playerId: 'alice' });
+        
+        assert.deepEqual(handOf(gameState, 'alice'), [card('blue', '1'), card('green', '2'), card('yellow', '3')]);
+        assert.deepEqual(gameState.playableDrawnCard, { card: card('red', '9'), playerId: 'alice' });
+        assert.deepEqual(gameState.lastDraw, { playerId: 'alice', count: 3 });
+        assert.equal(currentPlayerId(gameState), 'alice');
+    });
+    
+    it('keeps the playable card and ends the turn when playAfterDraw is off', () => {
+        const gameState = applyAction(setUpDraw({ drawUntilPlayable: true, playAfterDraw: false }), { type: 'draw', playerId: 'alice' });
+        
+        assert.equal(handOf(gameState, 'alice').length, 4);
+        assert.equal(gameState.playableDrawnCard, null);
+        assert.deepEqual(gameState.lastDraw, { playerId: 'alice', count: 3 });
+        assert.equal(currentPlayerId(gameState), 'bob');
+    });
+    
+    it('stops when no cards are left after reshuffling', () => {
+        const gameState = applyAction(
+            { ...setUpDraw({ drawUntilPlayable: true }), drawPile: [card('green', '2')], discardPile: [card('yellow', '3'), card('red', '5')] },
+            { type: 'draw', playerId: 'alice' }
+        );
+        
+        assert.deepEqual(handOf(gameState, 'alice'), [card('blue', '1'), card('green', '2'), card('yellow', '3')]);
+        assert.deepEqual(gameState.lastDraw, { playerId: 'alice', count: 2 });
+        assert.equal(currentPlayerId(gameState), 'bob');
+    });
+    
+    it('draws a single card without the rule', () => {
+        const gameState = applyAction(setUpDraw({}), { type: 'draw', playerId: 'alice' });
+        
+        assert.deepEqual(handOf(gameState, 'alice'), [card('blue', '1'), card('green', '2')]);
+        assert.deepEqual(gameState.lastDraw, { playerId: 'alice', count: 1 });
+        assert.equal(currentPlayerId(gameState), 'bob');
+    });
+});
+
+describe('matchMode rule', () => {
+    const hands = () => ({
+        alice: [card('red', '1')],
+        bob: [card('blue', '3'), card('red', 'skip')],
+        carol: [card(null, 'wild'), card('yellow', '9')]
+    });
+    
+    it('scores the cards left in the other hands and deals a new round', () => {
+        const gameState = applyAction(
+            setUpGame(hands(), card('red', '5'), { matchMode: true }),
+            { type: 'play', playerId: 'alice', card: card('red', '1') }
+        );
+        
+        assert.equal(gameState.isGameOver, false);
+        assert.deepEqual(gameState.scores, { alice: 82, bob: 0, carol: 0 });
+        assert.deepEqual(gameState.roundHistory, [{ round: 1, winner: 'alice', points: 82 }]);
+        assert.equal(gameState.round, 2);
+        assert.ok(gameState.players.every(player => player.hand.length === 7));
+        assert.equal(currentPlayerId(gameState), 'bob');
+    });
+    
+    it('ends the match once the winner reaches the target score', () => {
+        const gameState = applyAction(
+            setUpGame(hands(), card('red', '5'), { matchMode: true, targetScore: 50 }),
+            { type: 'play', playerId: 'alice', card: card('red', '1') }
+        );
+        
+        assert.equal(gameState.isGameOver, true);
+        assert.equal(gameState.winner, 'alice');
+        assert.deepEqual(gameState.scores, { alice: 82, bob: 0, carol: 0 });
+    });
+    
+    it('adds a pending draw penalty to the hand before scoring it', () => {
+        const gameState = applyAction(
+            {
+                ...setUpGame({ alice: [card('red', 'draw2')], bob: [card('blue', '3')] }, card('red', '5'), { matchMode: true, stacking: true }),
+                drawPile: [card('red', '1'), card('red', '2'), card('red', '3')]
+            },
+            { type: 'play', playerId: 'alice', card: card('red', 'draw2') }
+        );
+        
+        assert.deepEqual(gameState.roundHistory, [{ round: 1, winner: 'alice', points: 6 }]);
+        assert.equal(gameState.pendingDrawPenalty, 0);
+    });
+    
+    it('ends the game on the first win without the rule', () => {
+        const gameState = applyAction(setUpGame(hands(), card('red', '5')), { type: 'play', playerId: 'alice', card: card('red', '1') });
+        
+        assert.equal(gameState.isGameOver, true);
+        assert.equal(gameState.winner, 'alice');
+        assert.deepEqual(gameState.roundHistory, []);
+    });
+});
+
+describe('jumpIn rule', () => {
+    const hands = () => ({
+        alice: [card('blue', '1'), card('green', '2')],
+        bob: [card('yellow', '3'), card('yellow', '4')],
+        carol: [card('red', '5'), card('blue', '5'), card(null, 'wild')]
+    });
+    
+    it('lets a player with an exact copy of the top card play out of turn', () => {
+        const gameState = applyAction(
+            setUpGame(hands(), card('red', '5'), { jumpIn: true }),
+            { type: 'play', playerId: 'carol', card: card('red', '5') }
+        );
+        
+        assert.equal(gameState.error, undefined);
+        assert.equal(handOf(gameState, 'carol').length, 2);
+        assert.equal(currentPlayerId(gameState), 'alice');
+    });
+    
+    it('rejects cards that are not an exact copy', () => {
+        const gameState = setUpGame(hands(), card('red', '5'), { jumpIn: true });
+        
+        assert.deepEqual(applyAction(gameState, { type: 'play', playerId: 'carol', card: card('blue', '5') }), { error: 'Not your turn' });
+        assert.deepEqual(
+            applyAction(gameState, { type: 'play', playerId: 'carol', card: card(null, 'wild'), chosenColor: 'red' }),
+            { error: 'Not your turn' }
+        );
+    });
+    
+    it('rejects a missing or malformed card instead of throwing', () => {
+        const gameState = setUpGame(hands(), card('red', '5'), { jumpIn: true });
+        
+        assert.deepEqual(applyAction(gameState, { type: 'play', playerId: 'carol' }), { error: 'Invalid card' });
+        assert.deepEqual(applyAction(gameState, { type: 'play', playerId: 'carol', card: 'red 5' }), { error: 'Invalid card' });
+        assert.deepEqual(applyAction(gameState, { type: 'play', playerId: 'alice', card: null }), { error: 'Invalid card' });
+    });
+    
+    it('is not allowed without the rule', () => {
+        const gameState = setUpGame(hands(), card('red', '5'));
+        
+        assert.deepEqual(applyAction(gameState, { type: 'play', playerId: 'carol', card: card('red', '5') }), { error: 'Not your turn' });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Server persistence tests
+ *
+ * Run with `npm test`. The games table is a single in-memory row standing in for MySQL, so
+ * these check which saves of a running game reach the row without a database server.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameEngine = require('../game-logic/GameEngine');
+const server = require('../server');
+
+const ROOM_ID = 'ROOM42';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Points the server's database pool at a one-row games table
+ * @param {Object} row - The games row (room_code, status, state_version, game_state)
+ * @returns {Object} The table; table.row is the row as it is now and table.completedGames
+ *   the completed_games rows
+ */
+function useGamesTable(row) {
+    const table = { row, completedGames: [] };
+
+    const execute = async (sql, params) => {
+        if (sql.startsWith('UPDATE games')) {
+            const [status, gameStateJson, winnerId, roomId, expectedVersion] = params;
+            if (roomId !== table.row.room_code || expectedVersion !== table.row.state_version) {
+                return [{ affectedRows: 0 }];
+            }
+            table.row = {
+                ...table.row,
+                status,
+                winner_id: winnerId,
+                game_state: JSON.parse(gameStateJson),
+                state_version: table.row.state_version + 1
+            };
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith('INSERT INTO completed_games')) {
+            const [seed, commitment, actionLogJson, winnerId] = params;
+            table.completedGames.push({ shuffle_seed: seed, shuffle_commitment: commitment, action_log: JSON.parse(actionLogJson), winner_id: winnerId });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith('SELECT')) {
+            return [[table.row]];
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    const transaction = { async beginTransaction() {}, async commit() {}, async rollback() {} };
+    server.dbPool.getConnection = async () => ({ execute, ...transaction, release() {} });
+    server.dbPool.execute = execute;
+    return table;
+}
+
+/**
+ * Creates a running game for the room
+ * @param {string} seed - Shuffle seed, so two games can be told apart
+ * @returns {Object} Game state
+ */
+function createGame(seed) {
+    return GameEngine.createGameState(['alice', 'bob'], {}, seed);
+}
+
+/**
+ * Waits until a condition holds, giving queued room actions time to run
+ * @param {Function} condition - Returns true once the wait is over
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.ok(condition(), 'condition never held');
+}
+
+// ============================================================================
+// WRITE-BEHIND SAVES
+// ============================================================================
+
+describe('writeGameStateToDB', () => {
+    beforeEach(() => {
+        delete server.activeGames[ROOM_ID];
+    });
+
+    it('saves the running game at the version it last saved', async () => {
+        const table = useGamesTable({ room_code: ROOM_ID, status: 'in_progress', state_version: 4, game_state: createGame('a') });
+        const cached = createGame('b');
+
+        assert.equal(await server.writeGameStateToDB(ROOM_ID, cached, 4), 5);
+        assert.equal(table.row.state_version, 5);
+        assert.equal(table.row.game_state.seed, 'b');
+    });
+
+    it('keeps a concurrent save of the running game instead of writing over it', async () => {
+        const table = useGamesTable({ room_code: ROOM_ID, status: 'in_progress', state_version: 5, game_state: createGame('concurrent') });
+
+        await assert.rejects(server.writeGameStateToDB(ROOM_ID, createGame('cached'), 4), { code: 'STATE_CONFLICT' });
+        assert.equal(table.row.state_version, 5);
+        assert.equal(table.row.game_state.seed, 'concurrent');
+    });
+
+    it('keeps the seed and action log of a finished game', async () => {
+        const table = useGamesTable({ room_code: ROOM_ID, status: 'in_progress', state_version: 4, game_state: createGame('a') });
+        const finished = { ...createGame('finished'), isGameOver: true };
+
+        assert.equal(await server.writeGameStateToDB(ROOM_ID, finished, 4), 5);
+        assert.equal(table.row.status, 'completed');
+        assert.deepEqual(table.completedGames, [{
+            shuffle_seed: 'finished',
+            shuffle_commitment: finished.shuffleCommitment,
+            action_log: finished.actionLog,
+            winner_id: null
+        }]);
+    });
+
+    it('drops the state once the room is no longer running', async () => {
+        const table = useGamesTable({ room_code: ROOM_ID, status: 'waiting', state_version: 7, game_state: { players: [] } });
+
+        assert.equal(await server.writeGameStateToDB(ROOM_ID, createGame('cached'), 4), 4);
+        assert.equal(table.row.state_version, 7);
+        assert.deepEqual(table.row.game_state, { players: [] });
+    });
+});
+
+describe('updateGameStateInDB', () => {
+    it('continues from a concurrent save of the running game', async () => {
+        const table = useGamesTable({ room_code: ROOM_ID, status: 'in_progress', state_version: 5, game_state: createGame('concurrent') });
+        server.activeGames[ROOM_ID] = { ...createGame('cached'), stateVersion: 4 };
+
+        await server.updateGameStateInDB(ROOM_ID, server.activeGames[ROOM_ID]);
+        await waitFor(() => server.activeGames[ROOM_ID].seed === 'concurrent');
+
+        assert.equal(server.activeGames[ROOM_ID].stateVersion, 5);
+        assert.equal(table.row.game_state.seed, 'concurrent');
+        delete server.activeGames[ROOM_ID];
+    });
+});